@@ -0,0 +1,142 @@
+/**
+ * ============================================================
+ *  admonitions.mjs — Callout blocks (Nota, Importante, …)
+ *  replicant-2049
+ * ============================================================
+ *
+ *  GitHub-style alerts in the tutorial Markdown:
+ *
+ *    > [!WARNING]
+ *    > Borrar un pago no se puede deshacer.
+ *
+ *    > [!TIP] Atajo
+ *    > `Ctrl+K` abre la búsqueda.
+ *
+ *  Types and their Spanish aliases:
+ *    note       NOTE, NOTA, INFO
+ *    tip        TIP, CONSEJO, SUGERENCIA
+ *    important  IMPORTANT, IMPORTANTE
+ *    warning    WARNING, ADVERTENCIA, AVISO, ATENCIÓN
+ *    caution    CAUTION, PRECAUCIÓN, PELIGRO, DANGER
+ *
+ *  Text after the marker replaces the default label. Every
+ *  exporter renders them as boxes: PDF (theme CSS), in-app
+ *  HTML (CALLOUT_CSS), DOCX (shaded table) and video (a
+ *  `callout` slide after the subsection's content slide).
+ *  Unknown markers stay plain blockquotes.
+ *
+ * ============================================================
+ */
+
+/** Label, icon and colors per callout type (colors also drive the DOCX boxes). */
+export const CALLOUT_TYPES = {
+  note: { label: 'Nota', icon: 'ℹ️', color: '#2563eb', background: '#eff6ff' },
+  tip: { label: 'Tip', icon: '💡', color: '#16a34a', background: '#f0fdf4' },
+  important: { label: 'Importante', icon: '❗', color: '#9333ea', background: '#faf5ff' },
+  warning: { label: 'Advertencia', icon: '⚠️', color: '#d97706', background: '#fffbeb' },
+  caution: { label: 'Precaución', icon: '🛑', color: '#dc2626', background: '#fef2f2' },
+};
+
+const ALIASES = {
+  note: 'note', nota: 'note', info: 'note',
+  tip: 'tip', consejo: 'tip', sugerencia: 'tip',
+  important: 'important', importante: 'important',
+  warning: 'warning', advertencia: 'warning', aviso: 'warning', atencion: 'warning',
+  caution: 'caution', precaucion: 'caution', peligro: 'caution', danger: 'caution',
+};
+
+const MARKER_RE = /^\s*\[!([^\]\s]+)\][ \t]*(.*)$/;
+
+function typeOf(marker) {
+  const key = marker.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return ALIASES[key] || null;
+}
+
+function escapeHTML(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ─── Parse ─────────────────────────────────────────────────────
+/**
+ * Recognize a callout from the Markdown inside a blockquote
+ * (marked's blockquote `text`, without the `>` markers).
+ *
+ * @param {string} inner
+ * @returns {{ type: string, label: string, icon: string, title: string, body: string }|null}
+ *          title is the custom text after the marker or the type's label
+ */
+export function parseCallout(inner) {
+  const [first, ...rest] = (inner || '').split('\n');
+  const m = first.match(MARKER_RE);
+  const type = m && typeOf(m[1]);
+  if (!type) return null;
+  const { label, icon } = CALLOUT_TYPES[type];
+  return { type, label, icon, title: m[2].trim() || label, body: rest.join('\n').trim() };
+}
+
+/**
+ * Pull callout blockquotes out of a subsection's Markdown (for slides).
+ *
+ * @param {string} md
+ * @returns {{ callouts: object[], rest: string }}  callouts as parseCallout() + Markdown without them
+ */
+export function extractCallouts(md) {
+  const lines = md.split('\n');
+  const callouts = [];
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const first = lines[i].match(/^ {0,3}>\s?(.*)$/);
+    if (!first || !MARKER_RE.test(first[1]) || !typeOf(first[1].match(MARKER_RE)[1])) {
+      kept.push(lines[i]);
+      continue;
+    }
+    const inner = [first[1]];
+    while (i + 1 < lines.length && /^ {0,3}>/.test(lines[i + 1])) {
+      inner.push(lines[++i].replace(/^ {0,3}>\s?/, ''));
+    }
+    callouts.push(parseCallout(inner.join('\n')));
+  }
+
+  return { callouts, rest: kept.join('\n') };
+}
+
+// ─── HTML ──────────────────────────────────────────────────────
+/**
+ * Callout box markup shared by the PDF and in-app HTML exports.
+ *
+ * @param {object} callout   From parseCallout()
+ * @param {string} bodyHTML  The callout body, already rendered
+ * @returns {string}
+ */
+export function calloutHTML(callout, bodyHTML) {
+  return `<div class="callout callout-${callout.type}" role="note">
+  <p class="callout-title"><span class="callout-icon" aria-hidden="true">${callout.icon}</span>${escapeHTML(callout.title)}</p>
+  ${bodyHTML}
+</div>\n`;
+}
+
+/**
+ * Stylesheet for the in-app HTML export. Colors are CSS variables
+ * (`--callout-note`, …) so the host app can retheme them.
+ */
+export const CALLOUT_CSS = `
+${Object.entries(CALLOUT_TYPES).map(([type, t]) => `.callout-${type} { --callout-color: var(--callout-${type}, ${t.color}); }`).join('\n')}
+.callout {
+  border: 1px solid color-mix(in srgb, var(--callout-color) 35%, transparent);
+  border-left: 4px solid var(--callout-color);
+  background: color-mix(in srgb, var(--callout-color) 8%, transparent);
+  border-radius: 0 6px 6px 0;
+  padding: 10px 14px;
+  margin: 12px 0;
+}
+.callout-title {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin: 0 0 4px;
+  font-weight: 600;
+  color: var(--callout-color);
+}
+.callout > :last-child { margin-bottom: 0; }
+`;
@@ -0,0 +1,217 @@
+/**
+ * ============================================================
+ *  annotations.mjs — Callouts, arrows and blur on screenshots
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Draws an annotation layer into the page right before the
+ *  screenshot is taken, so the PNG in SS/ already carries it
+ *  and every exporter (PDF, DOCX, HTML, video) uses it as-is.
+ *
+ *  Declared per image in the capture directive:
+ *
+ *    annotate:
+ *      - badge: "#btn-nuevo"                    # numbered 1, 2, 3…
+ *      - box: { role: button, name: Guardar }
+ *      - arrow: { label: Monto, from: left, caption: Importe en ARS }
+ *      - note: { selector: "#estado", caption: Cambia a Autorizado, position: bottom }
+ *      - blur: ".cliente-email"                 # personal data
+ *      - redact: { testId: cuit }               # solid block
+ *
+ *  Targets use the scene-DSL keys (selector, role + name, label,
+ *  text, placeholder, testId, exact, nth); a string is a selector.
+ *
+ * ============================================================
+ */
+
+import { TARGET_KEYS, hasTarget, locate } from './scene-dsl.mjs';
+
+const KINDS = {
+  badge: ['number'],
+  box: ['caption', 'padding'],
+  arrow: ['caption', 'from'],
+  note: ['caption', 'position'],
+  blur: ['radius'],
+  redact: ['padding'],
+};
+const COMMON_KEYS = ['color'];
+const SIDES = ['left', 'right', 'top', 'bottom'];
+
+export const DEFAULT_ANNOTATION_COLOR = '#ef4444';
+
+function normalizeAnnotation(a) {
+  const kind = Object.keys(a)[0];
+  const raw = a[kind];
+  return [kind, typeof raw === 'string' ? { selector: raw } : { ...raw }];
+}
+
+/**
+ * Validate an `annotate` list. Returns error strings (empty when valid).
+ *
+ * @param {object[]} list
+ * @param {string} where  Prefix for messages
+ */
+export function validateAnnotations(list, where = 'annotate') {
+  const errors = [];
+  if (!Array.isArray(list)) return [`${where}: se esperaba una lista`];
+
+  list.forEach((a, i) => {
+    const at = `${where}[${i}]`;
+    if (!a || typeof a !== 'object' || Object.keys(a).length !== 1) {
+      errors.push(`${at}: se esperaba una de ${Object.keys(KINDS).join(', ')}`);
+      return;
+    }
+    const [kind, args] = normalizeAnnotation(a);
+    if (!KINDS[kind]) {
+      errors.push(`${at}: anotación desconocida "${kind}" (válidas: ${Object.keys(KINDS).join(', ')})`);
+      return;
+    }
+    const allowed = [...TARGET_KEYS, ...COMMON_KEYS, ...KINDS[kind]];
+    for (const key of Object.keys(args)) {
+      if (!allowed.includes(key)) errors.push(`${at}.${kind}: opción desconocida "${key}" (válidas: ${allowed.join(', ')})`);
+    }
+    if (!hasTarget(args)) errors.push(`${at}.${kind}: falta el destino (selector, role, label, text, placeholder o testId)`);
+    if (kind === 'note' && !args.caption) errors.push(`${at}.note: falta "caption"`);
+    for (const key of ['from', 'position']) {
+      if (args[key] != null && !SIDES.includes(args[key])) {
+        errors.push(`${at}.${kind}: ${key} debe ser ${SIDES.join(' | ')}`);
+      }
+    }
+  });
+  return errors;
+}
+
+// ─── In-page drawing ───────────────────────────────────────────
+// Shapes come in document coordinates; the layer scrolls with the page.
+function drawAnnotations(shapes) {
+  document.getElementById('__tutorial-annotations')?.remove();
+  const layer = document.createElement('div');
+  layer.id = '__tutorial-annotations';
+  Object.assign(layer.style, {
+    position: 'absolute', left: '0', top: '0', width: '0', height: '0',
+    pointerEvents: 'none', zIndex: '2147483647',
+    fontFamily: 'Inter, "Segoe UI", system-ui, sans-serif',
+  });
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNS, 'svg');
+  svg.setAttribute('width', String(document.documentElement.scrollWidth));
+  svg.setAttribute('height', String(document.documentElement.scrollHeight));
+  Object.assign(svg.style, { position: 'absolute', left: '0', top: '0', overflow: 'visible' });
+  layer.appendChild(svg);
+
+  const el = (styles, text) => {
+    const div = document.createElement('div');
+    Object.assign(div.style, { position: 'absolute', boxSizing: 'border-box' }, styles);
+    if (text != null) div.textContent = text;
+    layer.appendChild(div);
+    return div;
+  };
+
+  const bubble = (text, color, x, y, anchor) => {
+    const div = el({
+      background: color, color: '#fff', padding: '6px 12px', borderRadius: '8px',
+      fontSize: '14px', fontWeight: '600', lineHeight: '1.3', whiteSpace: 'nowrap',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.3)', left: `${x}px`, top: `${y}px`,
+    }, text);
+    const shift = { left: '-100%, -50%', right: '0, -50%', top: '-50%, -100%', bottom: '-50%, 0' }[anchor];
+    div.style.transform = `translate(${shift})`;
+  };
+
+  for (const s of shapes) {
+    const { x, y, width: w, height: h } = s.box;
+    const cx = x + w / 2;
+    const cy = y + h / 2;
+
+    if (s.kind === 'box') {
+      const p = s.padding ?? 6;
+      el({ left: `${x - p}px`, top: `${y - p}px`, width: `${w + 2 * p}px`, height: `${h + 2 * p}px`,
+        border: `3px solid ${s.color}`, borderRadius: '8px', boxShadow: '0 0 0 2px rgba(255,255,255,0.6)' });
+      if (s.caption) bubble(s.caption, s.color, cx, y - p - 8, 'top');
+    } else if (s.kind === 'badge') {
+      el({ left: `${x - 14}px`, top: `${y - 14}px`, width: '28px', height: '28px', borderRadius: '50%',
+        background: s.color, color: '#fff', fontSize: '15px', fontWeight: '700', lineHeight: '28px',
+        textAlign: 'center', border: '2px solid #fff', boxShadow: '0 2px 6px rgba(0,0,0,0.35)' }, String(s.number));
+    } else if (s.kind === 'redact') {
+      const p = s.padding ?? 2;
+      el({ left: `${x - p}px`, top: `${y - p}px`, width: `${w + 2 * p}px`, height: `${h + 2 * p}px`,
+        background: '#111', borderRadius: '3px' });
+    } else if (s.kind === 'note') {
+      const gap = 12;
+      const pos = s.position || 'bottom';
+      const at = { left: [x - gap, cy], right: [x + w + gap, cy], top: [cx, y - gap], bottom: [cx, y + h + gap] }[pos];
+      bubble(s.caption, s.color, at[0], at[1], pos);
+    } else if (s.kind === 'arrow') {
+      const from = s.from || 'left';
+      const len = 90;
+      const tip = { left: [x - 4, cy], right: [x + w + 4, cy], top: [cx, y - 4], bottom: [cx, y + h + 4] }[from];
+      const dir = { left: [-1, 0], right: [1, 0], top: [0, -1], bottom: [0, 1] }[from];
+      const tail = [tip[0] + dir[0] * len, tip[1] + dir[1] * len];
+      const line = document.createElementNS(svgNS, 'line');
+      line.setAttribute('x1', tail[0]); line.setAttribute('y1', tail[1]);
+      line.setAttribute('x2', tip[0] + dir[0] * 10); line.setAttribute('y2', tip[1] + dir[1] * 10);
+      line.setAttribute('stroke', s.color); line.setAttribute('stroke-width', '4');
+      line.setAttribute('stroke-linecap', 'round');
+      svg.appendChild(line);
+      // Arrowhead: triangle with its point on the target edge
+      const nx = -dir[1];
+      const ny = dir[0];
+      const head = document.createElementNS(svgNS, 'polygon');
+      head.setAttribute('points', [
+        `${tip[0]},${tip[1]}`,
+        `${tip[0] + dir[0] * 16 + nx * 9},${tip[1] + dir[1] * 16 + ny * 9}`,
+        `${tip[0] + dir[0] * 16 - nx * 9},${tip[1] + dir[1] * 16 - ny * 9}`,
+      ].join(' '));
+      head.setAttribute('fill', s.color);
+      svg.appendChild(head);
+      if (s.caption) {
+        const anchor = { left: 'left', right: 'right', top: 'top', bottom: 'bottom' }[from];
+        bubble(s.caption, s.color, tail[0] + dir[0] * 6, tail[1] + dir[1] * 6, anchor);
+      }
+    }
+  }
+
+  document.body.appendChild(layer);
+}
+
+/**
+ * Draw the annotations of one capture into the page.
+ * Blur is applied to the element itself; everything else is an overlay.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object[]} list    Validated `annotate` entries
+ * @param {object} [opts]    { color }
+ * @returns {Promise<Array<{ x, y, width, height }>>}  Document boxes of the annotated elements
+ */
+export async function annotatePage(page, list, opts = {}) {
+  const color = opts.color || DEFAULT_ANNOTATION_COLOR;
+  const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+  const shapes = [];
+  let counter = 0;
+
+  for (let i = 0; i < list.length; i++) {
+    const [kind, args] = normalizeAnnotation(list[i]);
+    const target = locate(page, args);
+    const vbox = await target.boundingBox();
+    if (!vbox) throw new Error(`annotate[${i}] ${kind}: elemento no visible`);
+    const box = { x: vbox.x + scroll.x, y: vbox.y + scroll.y, width: vbox.width, height: vbox.height };
+
+    if (kind === 'blur') {
+      await target.evaluate((node, px) => { node.style.filter = `blur(${px}px)`; }, args.radius ?? 6);
+      shapes.push({ kind, box });
+      continue;
+    }
+    if (kind === 'badge') counter = args.number ?? counter + 1;
+    shapes.push({
+      kind, box,
+      color: args.color || color,
+      number: kind === 'badge' ? counter : undefined,
+      caption: args.caption,
+      position: args.position,
+      from: args.from,
+      padding: args.padding,
+    });
+  }
+
+  await page.evaluate(drawAnnotations, shapes.filter((s) => s.kind !== 'blur'));
+  return shapes.map((s) => s.box);
+}
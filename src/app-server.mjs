@@ -0,0 +1,157 @@
+/**
+ * ============================================================
+ *  app-server.mjs — Start/stop the target app around capture
+ *  replicant-2049
+ * ============================================================
+ *
+ *  When `capture.startCommand` or `video.startCommand` is set,
+ *  the dev server is spawned before screenshots / recordings,
+ *  considered ready when `readyUrl` answers or a log line
+ *  matches `readyPattern`, and its whole process tree is torn
+ *  down afterwards. If the app already answers, it is reused
+ *  and left running.
+ *
+ *  Options (next to startCommand):
+ *    startCommand: 'npm run dev'
+ *    startCwd:     '../MY-APP-frontend'   (relative to the config)
+ *    readyUrl:     defaults to appUrl
+ *    readyPattern: 'Local:\\s+http'       (regex on stdout/stderr)
+ *    startTimeout: 90                     (seconds)
+ *
+ * ============================================================
+ */
+
+import { spawn, spawnSync } from 'child_process';
+import { constants } from 'os';
+import { resolve } from 'path';
+
+const isWindows = process.platform === 'win32';
+
+/**
+ * Pick the app-server options out of a capture/video config block.
+ * Returns null when no startCommand is configured.
+ *
+ * @param {object} cfg      config.capture or config.video
+ * @param {string} baseDir  Directory `startCwd` resolves against
+ */
+export function appServerOptions(cfg, baseDir) {
+  if (!cfg?.startCommand) return null;
+  return {
+    command: cfg.startCommand,
+    cwd: resolve(baseDir, cfg.startCwd || '.'),
+    readyUrl: cfg.readyUrl || cfg.appUrl || 'http://localhost:5173',
+    readyPattern: cfg.readyPattern ? new RegExp(cfg.readyPattern) : null,
+    timeout: cfg.startTimeout ?? 90,
+    env: cfg.startEnv || {},
+  };
+}
+
+async function isUp(url) {
+  try {
+    const resp = await fetch(url, { signal: AbortSignal.timeout(2000) });
+    return resp.status < 500;
+  } catch {
+    return false;
+  }
+}
+
+/** Kill a spawned shell and everything it started. */
+function killTree(child, signal = 'SIGTERM') {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  try {
+    if (isWindows) {
+      spawnSync('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+    } else {
+      // Negative pid: the process group created by `detached: true`
+      process.kill(-child.pid, signal);
+    }
+  } catch { /* already gone */ }
+}
+
+/**
+ * Start the app unless it is already answering on readyUrl.
+ *
+ * @param {object} opts  From appServerOptions()
+ * @returns {Promise<{ started: boolean, stop: () => Promise<void> }>}
+ */
+export async function startApp(opts) {
+  if (await isUp(opts.readyUrl)) {
+    console.log(`  ✅ App ya corriendo en ${opts.readyUrl}`);
+    return { started: false, stop: async () => {} };
+  }
+
+  console.log(`  🚀 Iniciando app: ${opts.command}`);
+  console.log(`  Directorio: ${opts.cwd}`);
+
+  const child = spawn(opts.command, {
+    cwd: opts.cwd,
+    shell: true,
+    detached: !isWindows,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: { ...process.env, BROWSER: 'none', ...opts.env },
+  });
+
+  // Keep the last lines of output for error messages
+  const tail = [];
+  let matched = false;
+  const onData = (chunk) => {
+    for (const line of chunk.toString().split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      tail.push(line);
+      if (tail.length > 20) tail.shift();
+      if (opts.readyPattern?.test(line)) matched = true;
+    }
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+
+  // Never leave the server behind if replicant exits early. The server has
+  // its own process group, so Ctrl+C doesn't reach it: kill it, then exit
+  // with the signal's conventional code (128 + signal number).
+  const onExit = () => killTree(child, 'SIGKILL');
+  const onSignal = (signal) => {
+    // A caller that handles the signal itself (record: Ctrl+C finishes) stops us
+    if (process.listenerCount(signal) > 1) return;
+    killTree(child, 'SIGKILL');
+    process.exit(128 + constants.signals[signal]);
+  };
+  const release = () => {
+    process.off('exit', onExit);
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+  };
+  process.on('exit', onExit);
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  const stop = async () => {
+    release();
+    if (child.exitCode !== null || child.signalCode !== null) return;
+    const exited = new Promise((done) => child.once('exit', done));
+    killTree(child);
+    const timer = setTimeout(() => killTree(child, 'SIGKILL'), 5000);
+    await exited;
+    clearTimeout(timer);
+    console.log('  🛑 App detenida');
+  };
+
+  const started = Date.now();
+  let exitCode = null;
+  child.once('exit', (code) => { exitCode = code ?? -1; });
+
+  while (true) {
+    if (matched || (!opts.readyPattern && await isUp(opts.readyUrl))) break;
+    if (exitCode !== null) {
+      release();
+      throw new Error(`La app terminó antes de estar lista (código ${exitCode}):\n    ${tail.join('\n    ')}`);
+    }
+    if (Date.now() - started > opts.timeout * 1000) {
+      await stop();
+      throw new Error(`La app no estuvo lista en ${opts.timeout}s (${opts.readyPattern || opts.readyUrl}):\n    ${tail.join('\n    ')}`);
+    }
+    await new Promise((r) => setTimeout(r, 500));
+  }
+
+  console.log(`  ✅ App lista (${((Date.now() - started) / 1000).toFixed(1)}s)\n`);
+  return { started: true, stop };
+}
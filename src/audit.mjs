@@ -256,10 +256,11 @@ function buildChecks(project) {
         const imgCount = countFiles(ssDir, ['.png', '.jpg', '.jpeg', '.webp']);
         if (imgCount < 10) return { status: 'fail', detail: `Solo ${imgCount} imágenes en SS/ (mín 10)` };
 
-        const hasCapture = existsSync(join(more, 'SCRIPT', 'capture-tutorial.mjs'));
+        const hasCapture = existsSync(join(more, 'SCRIPT', 'capture-tutorial.mjs'))
+          || /<!--\s*capture\s*:/i.test(tutContent);
         const hasImgRefs = /!\[.*?\]\(SS\//.test(tutContent);
         const issues = [];
-        if (!hasCapture) issues.push('sin capture-tutorial.mjs');
+        if (!hasCapture) issues.push('sin capture-tutorial.mjs ni directivas <!-- capture -->');
         if (!hasImgRefs) issues.push('sin referencias a SS/ en markdown');
         if (issues.length > 0) return { status: 'warn', detail: `${imgCount} imgs, pero: ${issues.join(', ')}` };
 
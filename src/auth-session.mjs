@@ -0,0 +1,165 @@
+/**
+ * ============================================================
+ *  auth-session.mjs — Logged-in browser contexts per role
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Recording scenes and screenshot capture open fresh browser
+ *  contexts. This module signs each role in once and reuses
+ *  the session everywhere:
+ *
+ *    - mock  (SKIP_AUTH apps): injects `window.__MOCK_ROLE__`
+ *      before any app script runs, as read by the boilerplate's
+ *      useCurrentUser hook. No login needed.
+ *    - login (Auth0 / app form): runs scripted steps (scene DSL
+ *      or a JS function) with the role's credentials and saves
+ *      Playwright storageState to `<stateDir>/<role>.json`.
+ *
+ *  Config (top-level `auth`):
+ *    auth: {
+ *      role: 'admin',                 // default role
+ *      mock: true,                    // SKIP_AUTH: only set __MOCK_ROLE__
+ *      login: { url, steps } | async (page, { role, username, password }) => {},
+ *      roles: { admin: { username, password }, lector: { ... } },
+ *      stateDir: './.tutorial-auth',  // session cookies: git-ignored, never commit
+ *      maxAge: 3600,                  // seconds a saved session is reused
+ *    }
+ *  Scenes pick a role with `role: 'lector'`.
+ *
+ * ============================================================
+ */
+
+import { existsSync, mkdirSync, statSync } from 'fs';
+import { join, resolve } from 'path';
+import { compileSteps, validateScenes } from './scene-dsl.mjs';
+
+const DEFAULTS = { role: 'admin', stateDir: '.tutorial-auth', maxAge: 3600 };
+
+/**
+ * Normalize the `auth` config. Returns null when auth is not configured.
+ *
+ * @param {object} authCfg
+ * @param {string} baseDir  Directory that relative paths resolve against
+ */
+export function resolveAuth(authCfg, baseDir = process.cwd()) {
+  if (!authCfg) return null;
+  const auth = { ...DEFAULTS, ...authCfg };
+  auth.stateDir = resolve(baseDir, auth.stateDir);
+  if (!auth.mock && !auth.login) {
+    throw new Error('auth: configurar `mock: true` (SKIP_AUTH) o `login` (pasos o función)');
+  }
+  if (auth.login && typeof auth.login !== 'function') {
+    if (!Array.isArray(auth.login.steps)) throw new Error('auth.login: falta la lista `steps`');
+    validateScenes([{ type: 'recording', steps: auth.login.steps }], 'auth.login');
+  }
+  return auth;
+}
+
+/** Roles needed by a set of scenes (plus the default role). */
+export function rolesFor(auth, scenes = []) {
+  const roles = new Set([auth.role]);
+  for (const scene of scenes) if (scene.role) roles.add(scene.role);
+  return [...roles];
+}
+
+function statePath(auth, role) {
+  return join(auth.stateDir, `${role}.json`);
+}
+
+function isFresh(path, maxAge) {
+  return existsSync(path) && (Date.now() - statSync(path).mtimeMs) / 1000 < maxAge;
+}
+
+/** Replace {{username}} / {{password}} / {{role}} in step values. */
+function fillPlaceholders(value, vars) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{(\w+)\}\}/g, (m, k) => {
+      if (vars[k] == null) throw new Error(`auth.roles.${vars.role}.${k} no está definido`);
+      return String(vars[k]);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => fillPlaceholders(v, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillPlaceholders(v, vars)]));
+  }
+  return value;
+}
+
+async function login(browser, auth, role, { appUrl, viewport }) {
+  const credentials = auth.roles?.[role] || {};
+  if (auth.roles && !auth.roles[role]) {
+    throw new Error(`auth: no hay credenciales para el rol "${role}" en auth.roles`);
+  }
+  const vars = { role, ...credentials };
+
+  const ctx = await browser.newContext({ viewport });
+  const page = await ctx.newPage();
+  try {
+    if (typeof auth.login === 'function') {
+      await page.goto(appUrl, { waitUntil: 'networkidle' });
+      await auth.login(page, vars);
+    } else {
+      const url = new URL(auth.login.url || '/', appUrl).href;
+      await page.goto(url, { waitUntil: 'networkidle' });
+      const steps = fillPlaceholders(auth.login.steps || [], vars);
+      await compileSteps(steps, { appUrl, stepDelay: 100 })(page);
+    }
+    await page.waitForLoadState('networkidle').catch(() => {});
+    mkdirSync(auth.stateDir, { recursive: true });
+    await ctx.storageState({ path: statePath(auth, role) });
+  } catch (err) {
+    throw new Error(`Login como "${role}" falló: ${err.message.split('\n')[0]}`);
+  } finally {
+    await ctx.close();
+  }
+}
+
+/**
+ * Sign in every role once (reusing saved sessions younger than maxAge).
+ * Mock mode needs no login and returns immediately.
+ *
+ * @param {import('playwright').Browser} browser
+ * @param {object} auth     From resolveAuth()
+ * @param {string[]} roles
+ * @param {object} ctx      { appUrl, viewport }
+ */
+export async function prepareAuth(browser, auth, roles, ctx) {
+  if (!auth || auth.mock) return;
+  for (const role of roles) {
+    if (isFresh(statePath(auth, role), auth.maxAge)) {
+      console.log(`  🔐 Sesión "${role}" reutilizada`);
+      continue;
+    }
+    console.log(`  🔐 Iniciando sesión como "${role}"...`);
+    await login(browser, auth, role, ctx);
+  }
+}
+
+/**
+ * Context options for a role: the saved storageState in login mode.
+ * Mock mode is applied with applyAuth() after the context exists.
+ */
+export function authContextOptions(auth, role) {
+  if (!auth || auth.mock) return {};
+  const path = statePath(auth, role || auth.role);
+  return existsSync(path) ? { storageState: path } : {};
+}
+
+/** Inject `window.__MOCK_ROLE__` into every page of a context (mock mode). */
+export async function applyAuth(context, auth, role) {
+  if (!auth?.mock) return;
+  await context.addInitScript((r) => { window.__MOCK_ROLE__ = r; }, role || auth.role);
+}
+
+/**
+ * Environment for external capture scripts, so they can open their
+ * context with `storageState: process.env.REPLICANT_STORAGE_STATE` or
+ * set `window.__MOCK_ROLE__ = process.env.REPLICANT_MOCK_ROLE`.
+ */
+export function authEnv(auth, role) {
+  if (!auth) return {};
+  role = role || auth.role;
+  if (auth.mock) return { REPLICANT_MOCK_ROLE: role };
+  const path = statePath(auth, role);
+  return existsSync(path) ? { REPLICANT_STORAGE_STATE: path, REPLICANT_ROLE: role } : {};
+}
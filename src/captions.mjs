@@ -0,0 +1,160 @@
+/**
+ * ============================================================
+ *  captions.mjs — SRT / WebVTT subtitles for tutorial videos
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Turns the clip timeline computed by export-video.mjs into
+ *  caption cues. Each clip contributes its narration text when
+ *  it has one, otherwise its title and bullets. Long texts are
+ *  split into readable chunks spread across the clip.
+ *
+ * ============================================================
+ */
+
+import { writeFileSync } from 'fs';
+
+// ─── Caption text for a slide / scene ──────────────────────────
+/**
+ * Pick the caption text for a slide or hybrid scene.
+ *
+ * @param {object} item    Slide from buildSlides() or a scene
+ * @param {string} source  'auto' | 'narration' | 'slides'
+ * @returns {string}
+ */
+export function captionText(item, source = 'auto') {
+  if (!item) return '';
+  if (item.caption) return clean(item.caption);
+  if (source !== 'slides' && item.narration) return clean(item.narration);
+  if (source === 'narration') return '';
+
+  if (item.type === 'closing' || item.slideType === 'closing') return '';
+  const title = clean(item.title || item.name || '');
+  const items = (item.steps?.length ? item.steps : item.bullets) || [];
+  const body = items.length ? items.map(clean).join('. ') : clean(item.prose || item.description || '');
+  return [title, body].filter(Boolean).join(' — ');
+}
+
+function clean(text) {
+  return String(text)
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ─── Split text into cue-sized chunks ──────────────────────────
+function chunkText(text, maxChars) {
+  const words = text.split(' ');
+  const chunks = [];
+  let current = '';
+  for (const word of words) {
+    if (current && (current + ' ' + word).length > maxChars) {
+      chunks.push(current);
+      current = word;
+    } else {
+      current = current ? current + ' ' + word : word;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/** Break a cue into at most two balanced lines. */
+function wrapLines(text, lineChars) {
+  if (text.length <= lineChars) return text;
+  const mid = text.lastIndexOf(' ', Math.ceil(text.length / 2));
+  if (mid <= 0) return text;
+  return text.slice(0, mid) + '\n' + text.slice(mid + 1);
+}
+
+// ─── Build cues from the timeline ──────────────────────────────
+/**
+ * @param {{ clips: object[] }} timeline  From planTimeline() in export-video.mjs;
+ *                                        clips carry `caption` and optional `narration`
+ * @param {object} [opts]
+ * @param {number} [opts.maxChars=84]     Characters per cue (two lines)
+ * @param {number} [opts.leadIn=0.4]      Narration lead-in used by the video engine
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+export function buildCaptionCues(timeline, opts = {}) {
+  const maxChars = opts.maxChars || 84;
+  const leadIn = opts.leadIn ?? 0.4;
+  const cues = [];
+  const clips = timeline.clips;
+
+  clips.forEach((clip, i) => {
+    if (!clip.caption) return;
+
+    // Narrated clips follow the audio; others span the clip minus transitions
+    let start = clip.start + (clip.overlap || 0);
+    let end = clip.end - (clips[i + 1]?.overlap || 0);
+    if (clip.narration) {
+      start = clip.start + leadIn;
+      end = Math.min(clip.end, start + clip.narration.duration);
+    }
+    if (end - start < 0.3) return;
+
+    const chunks = chunkText(clip.caption, maxChars);
+    const totalChars = chunks.reduce((n, c) => n + c.length, 0);
+    let t = start;
+    for (const chunk of chunks) {
+      const span = (end - start) * (chunk.length / totalChars);
+      cues.push({ start: t, end: t + span, text: wrapLines(chunk, Math.ceil(maxChars / 2)) });
+      t += span;
+    }
+  });
+
+  return cues;
+}
+
+// ─── Formatters ────────────────────────────────────────────────
+function timestamp(seconds, sep) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+export function formatSRT(cues) {
+  return cues
+    .map((c, i) => `${i + 1}\n${timestamp(c.start, ',')} --> ${timestamp(c.end, ',')}\n${c.text}\n`)
+    .join('\n');
+}
+
+export function formatVTT(cues) {
+  const body = cues
+    .map((c) => `${timestamp(c.start, '.')} --> ${timestamp(c.end, '.')}\n${c.text}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * Write `<base>.srt` and `<base>.vtt`.
+ *
+ * @param {object[]} cues
+ * @param {string} basePath  Output path without extension
+ * @returns {{ srt: string, vtt: string }}
+ */
+export function writeCaptionFiles(cues, basePath) {
+  const srt = `${basePath}.srt`;
+  const vtt = `${basePath}.vtt`;
+  writeFileSync(srt, formatSRT(cues), 'utf8');
+  writeFileSync(vtt, formatVTT(cues), 'utf8');
+  return { srt, vtt };
+}
+
+/**
+ * Escape a path for FFmpeg's subtitles filter argument.
+ * Backslashes become slashes; ':' and quotes are escaped for the filtergraph.
+ */
+export function escapeFilterPath(path) {
+  return path
+    .replace(/\\/g, '/')
+    .replace(/:/g, '\\:')
+    .replace(/'/g, "\\'");
+}
@@ -0,0 +1,297 @@
+/**
+ * ============================================================
+ *  capture.mjs — Built-in screenshot capture from the Markdown
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Replaces the per-project capture-tutorial.mjs. Each image
+ *  reference can be preceded by a capture directive (YAML in
+ *  an HTML comment, invisible in every export):
+ *
+ *    <!-- capture:
+ *    route: /pagos
+ *    selector: "#tabla-pagos"          # clip to this element
+ *    waitFor: { text: Pagos pendientes }
+ *    steps:                            # optional scene-DSL steps
+ *      - click: { role: button, name: Filtros }
+ *    role: lector                      # auth role (see auth-session.mjs)
+ *    viewport: 1440x900
+ *    -->
+ *    ![Listado de pagos](SS/05-listado-pagos.png)
+ *
+ *  `<!-- capture: /pagos -->` is shorthand for `route: /pagos`.
+ *  `annotate:` adds callouts, arrows and blur (see annotations.mjs).
+ *  PNGs are written into imagesDir under the names the Markdown
+ *  already references; anything that could not be captured is
+ *  reported at the end.
+ *
+ * ============================================================
+ */
+
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { chromium } from 'playwright';
+import { parse as parseYAML } from 'yaml';
+import { compileSteps, validateScenes } from './scene-dsl.mjs';
+import { resolveAuth, rolesFor, prepareAuth, authContextOptions, applyAuth } from './auth-session.mjs';
+import { appServerOptions, startApp } from './app-server.mjs';
+import { validateAnnotations, annotatePage } from './annotations.mjs';
+
+const DIRECTIVE_RE = /^<!--\s*capture\s*:\s*([\s\S]*?)-->\s*$/i;
+const IMAGE_RE = /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/;
+const DIRECTIVE_KEYS = ['route', 'selector', 'waitFor', 'steps', 'role', 'viewport', 'fullPage', 'delay', 'scale',
+  'annotate', 'padding'];
+
+// ─── Directives ────────────────────────────────────────────────
+/**
+ * Find capture directives and the image reference each one precedes.
+ * Fenced code blocks are skipped so documentation examples aren't captured.
+ *
+ * @param {string} md
+ * @returns {{ directives: object[], images: object[], errors: string[] }}
+ *          `images` lists every image reference (with or without directive)
+ */
+export function extractCaptureDirectives(md) {
+  const lines = md.split('\n');
+  const directives = [];
+  const images = [];
+  const errors = [];
+  let inFence = false;
+  let pending = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    // Directive comments may span several lines
+    if (/^\s*<!--\s*capture\s*:/i.test(line)) {
+      let block = line.trim();
+      const start = i;
+      while (!block.includes('-->') && i + 1 < lines.length) block += '\n' + lines[++i];
+      const m = block.match(DIRECTIVE_RE);
+      if (!m) {
+        errors.push(`línea ${start + 1}: directiva capture sin cerrar`);
+        continue;
+      }
+      try {
+        pending = { line: start + 1, spec: parseDirective(m[1]) };
+      } catch (err) {
+        errors.push(`línea ${start + 1}: ${err.message}`);
+      }
+      continue;
+    }
+
+    const img = line.match(IMAGE_RE);
+    if (img) {
+      const ref = { alt: img[1], href: img[2], line: i + 1 };
+      images.push(ref);
+      if (pending) {
+        directives.push({ ...ref, ...pending.spec });
+        pending = null;
+      }
+    } else if (pending && line.trim()) {
+      errors.push(`línea ${pending.line}: la directiva capture debe ir justo antes de una imagen`);
+      pending = null;
+    }
+  }
+
+  return { directives, images, errors };
+}
+
+function parseDirective(body) {
+  const data = parseYAML(body.trim());
+  const spec = typeof data === 'string' ? { route: data } : data;
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('la directiva capture debe ser una ruta o un objeto YAML');
+  }
+  const unknown = Object.keys(spec).filter((k) => !DIRECTIVE_KEYS.includes(k));
+  if (unknown.length) {
+    throw new Error(`opción desconocida ${unknown.join(', ')} (válidas: ${DIRECTIVE_KEYS.join(', ')})`);
+  }
+  if (spec.steps) validateScenes([{ type: 'recording', steps: spec.steps }], 'capture');
+  if (spec.waitFor) validateScenes([{ type: 'recording', steps: [{ waitFor: spec.waitFor }] }], 'capture');
+  if (spec.annotate) {
+    const errors = validateAnnotations(spec.annotate);
+    if (errors.length) throw new Error(errors.join('; '));
+  }
+  return spec;
+}
+
+// ─── Paths & viewport ──────────────────────────────────────────
+/**
+ * Where an image reference lives on disk — the same rule the
+ * exporters use to find it (`SS/x.png` or `x.png` inside imagesDir).
+ */
+export function imageTarget(href, imagesDir) {
+  const prefix = `${basename(imagesDir)}/`;
+  if (href.startsWith('SS/') || href.startsWith(prefix)) return join(dirname(imagesDir), href);
+  return join(imagesDir, href);
+}
+
+function parseViewport(value, fallback) {
+  if (!value) return fallback;
+  if (typeof value === 'object') return { width: Number(value.width), height: Number(value.height) };
+  const m = String(value).match(/^(\d+)\s*[x×]\s*(\d+)$/);
+  if (!m) throw new Error(`viewport inválido "${value}" (usar 1440x900)`);
+  return { width: Number(m[1]), height: Number(m[2]) };
+}
+
+// ─── Capture ───────────────────────────────────────────────────
+async function captureOne(page, item, ctx) {
+  const url = new URL(item.route || '/', ctx.appUrl).href;
+  const response = await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
+  if (response && response.status() >= 400) throw new Error(`${url} respondió HTTP ${response.status()}`);
+
+  const steps = [...(item.steps || []), ...(item.waitFor ? [{ waitFor: item.waitFor }] : [])];
+  if (steps.length) await compileSteps(steps, { appUrl: ctx.appUrl, stepDelay: 150 })(page);
+
+  // Let animations, fonts and lazy images settle
+  await page.evaluate(() => document.fonts?.ready);
+  await page.waitForTimeout((item.delay ?? ctx.delay) * 1000);
+
+  if (item.annotate?.length) {
+    await annotatePage(page, item.annotate, { color: ctx.annotationColor });
+  }
+
+  mkdirSync(dirname(item.path), { recursive: true });
+  if (item.selector) {
+    const target = page.locator(item.selector).first();
+    await target.waitFor({ state: 'visible' });
+    // Leave room around the element for badges and arrows drawn outside it
+    const padding = item.padding ?? (item.annotate?.length ? 24 : 0);
+    if (padding > 0) {
+      const clip = await target.evaluate((node, pad) => {
+        const r = node.getBoundingClientRect();
+        // Clamp the origin to the page, then size from it so the far edges keep `pad`
+        const x = Math.max(0, r.left + window.scrollX - pad);
+        const y = Math.max(0, r.top + window.scrollY - pad);
+        return { x, y, width: r.right + window.scrollX + pad - x, height: r.bottom + window.scrollY + pad - y };
+      }, padding);
+      await page.screenshot({ path: item.path, fullPage: true, clip, animations: 'disabled' });
+    } else {
+      await target.screenshot({ path: item.path, animations: 'disabled' });
+    }
+  } else {
+    await page.screenshot({ path: item.path, fullPage: !!item.fullPage, animations: 'disabled' });
+  }
+}
+
+function isMissing(href, imagesDir) {
+  return !/^(https?:|data:)/.test(href) && !existsSync(imageTarget(href, imagesDir));
+}
+
+/**
+ * Referenced local images that don't exist on disk, without capturing
+ * anything (exports that run no capture).
+ *
+ * @param {object} config  Resolved tutorial config (input, imagesDir)
+ * @returns {{ missing: Array<{ href, line }>, directives: number }}
+ *          directives: how many images have a capture directive
+ */
+export function findMissingImages(config) {
+  const { directives, images } = extractCaptureDirectives(readFileSync(config.input, 'utf8'));
+  return { missing: images.filter((img) => isMissing(img.href, config.imagesDir)), directives: directives.length };
+}
+
+/**
+ * Capture every image that has a directive in the tutorial Markdown.
+ *
+ * @param {object} config  Resolved tutorial config (input, imagesDir, capture, auth, _configPath)
+ * @param {object} [opts]
+ * @param {string} [opts.only]  Capture only images whose path contains this text
+ * @returns {Promise<{ captured: string[], failed: Array<{ href, line, error }>, missing: object[] }>}
+ */
+export async function captureFromMarkdown(config, opts = {}) {
+  const captureCfg = config.capture || {};
+  const configDir = dirname(config._configPath || config.input);
+  const appUrl = captureCfg.appUrl || config.video?.appUrl || 'http://localhost:5173';
+  const md = readFileSync(config.input, 'utf8');
+  const { directives, images, errors } = extractCaptureDirectives(md);
+
+  if (errors.length) {
+    throw new Error(`Directivas capture inválidas en ${basename(config.input)}:\n    - ${errors.join('\n    - ')}`);
+  }
+
+  const defaultViewport = parseViewport(captureCfg.viewport, { width: 1440, height: 900 });
+  const items = directives
+    .filter((d) => !opts.only || d.href.includes(opts.only))
+    .map((d) => ({
+      ...d,
+      path: imageTarget(d.href, config.imagesDir),
+      viewport: parseViewport(d.viewport, defaultViewport),
+      scale: d.scale ?? captureCfg.scale ?? 2,
+    }));
+
+  // Referenced images that have no directive and don't exist on disk
+  const withDirective = new Set(directives.map((d) => d.href));
+  const missing = images.filter((img) => !withDirective.has(img.href) && isMissing(img.href, config.imagesDir));
+
+  const result = { captured: [], failed: [], missing };
+  if (items.length === 0) return result;
+
+  console.log(`  📸 Capturando ${items.length} screenshot(s) desde ${basename(config.input)}`);
+
+  const serverOpts = appServerOptions({ appUrl, ...captureCfg }, configDir);
+  const app = serverOpts ? await startApp(serverOpts) : null;
+  let browser = null;
+
+  try {
+    browser = await chromium.launch({ headless: true });
+    const auth = resolveAuth(config.auth, configDir);
+    await prepareAuth(browser, auth, auth ? rolesFor(auth, items) : [], { appUrl, viewport: defaultViewport });
+
+    // One context per role + viewport + scale, reused across captures
+    const contexts = new Map();
+    const contextFor = async (item) => {
+      const key = `${item.role || ''}|${item.viewport.width}x${item.viewport.height}@${item.scale}`;
+      if (!contexts.has(key)) {
+        const ctx = await browser.newContext({
+          ...authContextOptions(auth, item.role),
+          viewport: item.viewport,
+          deviceScaleFactor: item.scale,
+        });
+        await applyAuth(ctx, auth, item.role);
+        contexts.set(key, ctx);
+      }
+      return contexts.get(key);
+    };
+
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      process.stdout.write(`\r  📸 [${i + 1}/${items.length}] ${item.href}                    `);
+      const page = await (await contextFor(item)).newPage();
+      page.setDefaultTimeout((captureCfg.timeout ?? 15) * 1000);
+      try {
+        await captureOne(page, item, { appUrl, delay: captureCfg.delay ?? 0.5, annotationColor: captureCfg.annotationColor });
+        result.captured.push(item.path);
+      } catch (err) {
+        result.failed.push({ href: item.href, line: item.line, error: err.message.split('\n')[0] });
+      } finally {
+        await page.close();
+      }
+    }
+    process.stdout.write('\n');
+  } finally {
+    await browser?.close();
+    await app?.stop();
+  }
+
+  return result;
+}
+
+/** Print the capture summary; returns true when everything was captured. */
+export function printCaptureReport(result) {
+  console.log(`  ✅ ${result.captured.length} screenshot(s) capturados`);
+  for (const f of result.failed) {
+    console.warn(`  ❌ ${f.href} (línea ${f.line}): ${f.error}`);
+  }
+  for (const m of result.missing) {
+    console.warn(`  ⚠️  ${m.href} (línea ${m.line}): no existe y no tiene directiva capture`);
+  }
+  console.log('');
+  return result.failed.length === 0 && result.missing.length === 0;
+}
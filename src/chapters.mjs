@@ -0,0 +1,89 @@
+/**
+ * ============================================================
+ *  chapters.mjs — MP4 chapter markers from section slides
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Every `section-title` clip on the video timeline opens a
+ *  chapter that runs until the next one. Output:
+ *    - FFMETADATA1 file for FFmpeg (-map_chapters)
+ *    - YouTube-style list: `mm:ss Title` per line
+ *
+ * ============================================================
+ */
+
+import { writeFileSync } from 'fs';
+
+/**
+ * Build chapters from the planned timeline.
+ * YouTube requires the first chapter at 00:00, so anything before the
+ * first section (cover, TOC) becomes an intro chapter.
+ *
+ * @param {{ clips: object[], total: number }} timeline  Clips carry `chapter` titles
+ * @param {object} [opts]
+ * @param {string} [opts.introTitle='Introducción']
+ * @returns {Array<{ start: number, end: number, title: string }>}
+ */
+export function buildChapters(timeline, opts = {}) {
+  const marks = timeline.clips
+    .filter((c) => c.chapter)
+    .map((c) => ({ start: c.start + (c.overlap || 0) / 2, title: c.chapter }));
+
+  if (marks.length === 0) return [];
+  if (marks[0].start > 0.5) {
+    marks.unshift({ start: 0, title: opts.introTitle || 'Introducción' });
+  } else {
+    marks[0].start = 0;
+  }
+
+  return marks.map((m, i) => ({
+    ...m,
+    end: i < marks.length - 1 ? marks[i + 1].start : timeline.total,
+  }));
+}
+
+// ─── FFMETADATA ────────────────────────────────────────────────
+function escapeMeta(value) {
+  return String(value).replace(/([=;#\\\n])/g, '\\$1');
+}
+
+export function formatFFMetadata(chapters, title) {
+  const lines = [';FFMETADATA1'];
+  if (title) lines.push(`title=${escapeMeta(title)}`);
+  for (const ch of chapters) {
+    lines.push(
+      '',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(ch.start * 1000)}`,
+      `END=${Math.round(ch.end * 1000)}`,
+      `title=${escapeMeta(ch.title)}`,
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ─── Chapter list (video descriptions) ─────────────────────────
+function clock(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+export function formatChapterList(chapters) {
+  return chapters.map((ch) => `${clock(ch.start)} ${ch.title}`).join('\n') + '\n';
+}
+
+/**
+ * Write the FFmpeg metadata file and the plain-text chapter list.
+ *
+ * @returns {{ metadata: string, list: string }}
+ */
+export function writeChapterFiles(chapters, title, metadataPath, listPath) {
+  writeFileSync(metadataPath, formatFFMetadata(chapters, title), 'utf8');
+  writeFileSync(listPath, formatChapterList(chapters), 'utf8');
+  return { metadata: metadataPath, list: listPath };
+}
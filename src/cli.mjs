@@ -13,6 +13,8 @@
  *    sync              Check and track documentation progress
  *    generate          Generate final documents using Claude API
  *    export            Generate PDF/DOCX/Video from Markdown
+ *    record            Record a manual walkthrough as video scenes
+ *    screenshots diff  Compare screenshots against the committed baseline
  *    (no command)      Legacy mode: export with --pdf/--docx/--video flags
  * ============================================================
  */
@@ -21,10 +23,14 @@ import { resolve, dirname } from 'path';
 import { existsSync, readFileSync } from 'fs';
 import { pathToFileURL, fileURLToPath } from 'url';
 import { spawn } from 'child_process';
+import { chromium } from 'playwright';
 import { exportTutorialToPDF } from './export-pdf.mjs';
 import { exportTutorialToVideo } from './export-video.mjs';
 import { exportToDocx } from './export-docx.mjs';
 import { exportTutorialToHTML } from './export-html.mjs';
+import { resolveAuth, prepareAuth, authEnv } from './auth-session.mjs';
+import { appServerOptions, startApp } from './app-server.mjs';
+import { captureFromMarkdown, printCaptureReport, findMissingImages } from './capture.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -44,7 +50,7 @@ function getCommand() {
   const firstArg = args[0];
   
   // Check if first arg is a command
-  if (firstArg === 'init' || firstArg === 'sync' || firstArg === 'generate' || firstArg === 'export' || firstArg === 'audit') {
+  if (firstArg === 'init' || firstArg === 'sync' || firstArg === 'generate' || firstArg === 'export' || firstArg === 'audit' || firstArg === 'record' || firstArg === 'screenshots') {
     return firstArg;
   }
   
@@ -84,6 +90,9 @@ function parseExportArgs() {
   let doDocx = false;
   let doHtml = false;
   let skipCapture = false;
+  let capture = false;
+  let noCache = false;
+  let strict = false;
   let outputDir = null;
   
   // Skip 'export' command if present
@@ -106,6 +115,12 @@ function parseExportArgs() {
       doHtml = true;
     } else if (args[i] === '--skip-capture') {
       skipCapture = true;
+    } else if (args[i] === '--capture') {
+      capture = true;
+    } else if (args[i] === '--no-cache') {
+      noCache = true;
+    } else if (args[i] === '--strict') {
+      strict = true;
     } else if (args[i] === '--help' || args[i] === '-h') {
       printHelp();
       process.exit(0);
@@ -123,7 +138,7 @@ function parseExportArgs() {
     configPath = resolve(process.cwd(), 'tutorial.config.js');
   }
 
-  return { configPath, doPdf, doVideo, doDocx, doHtml, skipCapture, outputDir };
+  return { configPath, doPdf, doVideo, doDocx, doHtml, skipCapture, capture, noCache, strict, outputDir };
 }
 
 function printHelp() {
@@ -142,6 +157,8 @@ function printHelp() {
     ${colors.green}generate${colors.reset}          Generate final documents using Claude API
     ${colors.green}export${colors.reset}            Generate PDF/DOCX/Video from Markdown
     ${colors.green}audit${colors.reset}             Audit project against mandatory standards
+    ${colors.green}record${colors.reset}            Record a browser walkthrough as hybrid video scenes
+    ${colors.green}screenshots diff${colors.reset}  Compare screenshots against the baseline (HTML report)
 
   ${colors.bright}Export Options:${colors.reset}
     --config <path>   Path to config file (default: ./tutorial.config.js)
@@ -150,7 +167,10 @@ function printHelp() {
     --html            Generate HTML fragment for in-app embedding
     --video           Generate MP4 video
     --output-dir <p>  Output directory (for --html export)
+    --capture         Capture screenshots from <!-- capture --> directives first
     --skip-capture    Skip screenshot capture (use existing images)
+    --no-cache        Re-render every video clip (ignore the clip cache)
+    --strict          Abort the video export if a recording scene fails
 
   ${colors.bright}Global Options:${colors.reset}
     --help, -h        Show this help
@@ -162,17 +182,41 @@ function printHelp() {
     npx replicant generate --project TC
     npx replicant generate --all --dir "C:\\Proyectos\\NOR-PAN"
     npx replicant export --config ./tutorial.config.js --pdf
+    npx replicant export --config ./tutorial.config.js --capture
     npx replicant export --config ./tutorial.config.js --skip-capture
     npx replicant export --config ./tutorial.config.js --html --output-dir ./public/tutorial
     npx replicant --pdf --video   # Legacy mode
     npx replicant audit --dir "C:\\Proyectos\\NOR-PAN"
     npx replicant audit --dir . --verbose
     npx replicant audit --dir . --json
+    npx replicant record --config ./tutorial.config.js --out ./scenes.yaml
+    npx replicant screenshots diff --capture --fail-on-change
   `);
 }
 
+// ─── Sign in once before capture ───────────────────────────────
+// Login mode saves the session to auth.stateDir; the capture script
+// receives it as REPLICANT_STORAGE_STATE (or REPLICANT_MOCK_ROLE).
+async function captureAuthEnv(config, configDir) {
+  const auth = resolveAuth(config.auth, configDir);
+  if (!auth) return {};
+  const role = config.capture?.role || auth.role;
+  if (!auth.mock) {
+    const browser = await chromium.launch({ headless: true });
+    try {
+      await prepareAuth(browser, auth, [role], {
+        appUrl: config.capture?.appUrl || config.video?.appUrl || 'http://localhost:5173',
+        viewport: { width: 1920, height: 1080 },
+      });
+    } finally {
+      await browser.close();
+    }
+  }
+  return authEnv(auth, role);
+}
+
 // ─── Run capture script ────────────────────────────────────────
-async function runCaptureScript(captureConfig, configDir) {
+async function runCaptureScript(captureConfig, configDir, config) {
   const scriptPath = resolve(configDir, captureConfig.script);
 
   if (!existsSync(scriptPath)) {
@@ -180,8 +224,10 @@ async function runCaptureScript(captureConfig, configDir) {
     process.exit(1);
   }
 
-  // Check if app is reachable
-  if (captureConfig.appUrl) {
+  // Start the app ourselves, or check that it is already reachable
+  const serverOpts = appServerOptions(captureConfig, configDir);
+  const app = serverOpts ? await startApp(serverOpts) : null;
+  if (!app && captureConfig.appUrl) {
     console.log(`  🔍 Verificando que la app esté corriendo en ${captureConfig.appUrl}...`);
     try {
       const resp = await fetch(captureConfig.appUrl, { signal: AbortSignal.timeout(5000) });
@@ -189,33 +235,40 @@ async function runCaptureScript(captureConfig, configDir) {
       console.log(`  ✅ App detectada\n`);
     } catch {
       console.error(`\n  ❌ La app no está corriendo en ${captureConfig.appUrl}`);
-      console.error(`  Iniciá la app antes de exportar, o usá --skip-capture para usar screenshots existentes.\n`);
+      console.error(`  Iniciá la app antes de exportar, configurá capture.startCommand, o usá --skip-capture para usar screenshots existentes.\n`);
       process.exit(1);
     }
   }
 
-  console.log(`  📸 Ejecutando captura de screenshots...`);
-  console.log(`  Script: ${scriptPath}\n`);
-
-  return new Promise((resolveP, reject) => {
-    const child = spawn('node', [scriptPath, '--skip-pdf'], {
-      stdio: 'inherit',
-      cwd: dirname(scriptPath),
+  try {
+    const env = await captureAuthEnv(config, configDir);
+
+    console.log(`  📸 Ejecutando captura de screenshots...`);
+    console.log(`  Script: ${scriptPath}\n`);
+
+    await new Promise((resolveP, reject) => {
+      const child = spawn('node', [scriptPath, '--skip-pdf'], {
+        stdio: 'inherit',
+        cwd: dirname(scriptPath),
+        env: { ...process.env, ...env },
+      });
+      child.on('close', (code) => {
+        if (code === 0) {
+          console.log(`\n  ✅ Screenshots capturados exitosamente\n`);
+          resolveP();
+        } else {
+          reject(new Error(`Capture script exited with code ${code}`));
+        }
+      });
+      child.on('error', reject);
     });
-    child.on('close', (code) => {
-      if (code === 0) {
-        console.log(`\n  ✅ Screenshots capturados exitosamente\n`);
-        resolveP();
-      } else {
-        reject(new Error(`Capture script exited with code ${code}`));
-      }
-    });
-    child.on('error', reject);
-  });
+  } finally {
+    await app?.stop();
+  }
 }
 
 async function handleExport() {
-  const { configPath, doPdf, doVideo, doDocx, doHtml, skipCapture, outputDir } = parseExportArgs();
+  const { configPath, doPdf, doVideo, doDocx, doHtml, skipCapture, capture, noCache, strict, outputDir } = parseExportArgs();
 
   if (!existsSync(configPath)) {
     console.error(`\n  ❌ Config file not found: ${configPath}`);
@@ -268,16 +321,54 @@ async function handleExport() {
     if (config.video.backgroundMusic) {
       resolvedConfig.video.backgroundMusic = resolve(configDir, config.video.backgroundMusic);
     }
+    if (config.video.narrationTrack) {
+      resolvedConfig.video.narrationTrack = resolve(configDir, config.video.narrationTrack);
+    }
+    if (config.video.cacheDir) {
+      resolvedConfig.video.cacheDir = resolve(configDir, config.video.cacheDir);
+    }
+    if (config.video.recording?.failureDir) {
+      resolvedConfig.video.recording = {
+        ...config.video.recording,
+        failureDir: resolve(configDir, config.video.recording.failureDir),
+      };
+    }
+  }
+  if (noCache) {
+    resolvedConfig.video = { ...resolvedConfig.video, cache: false };
+  }
+  if (strict) {
+    resolvedConfig.video = {
+      ...resolvedConfig.video,
+      recording: { ...resolvedConfig.video?.recording, strict: true },
+    };
   }
 
   // ─── Capture screenshots before PDF/DOCX ─────────────────────
   const needsCapture = shouldPdf || shouldDocx || doHtml;
   if (!skipCapture && config.capture?.script && needsCapture) {
-    await runCaptureScript(config.capture, configDir);
+    await runCaptureScript(config.capture, configDir, config);
   } else if (skipCapture) {
     console.log(`  ⏭️  Captura omitida (--skip-capture)\n`);
-  } else if (!config.capture?.script && needsCapture) {
-    console.log(`  ℹ️  Sin script de captura configurado, usando imágenes existentes\n`);
+  } else if (needsCapture && (capture || config.capture?.builtin)) {
+    // Built-in engine: <!-- capture: ... --> directives in the Markdown
+    const result = await captureFromMarkdown(resolvedConfig);
+    if (result.captured.length || result.failed.length || result.missing.length) {
+      const ok = printCaptureReport(result);
+      if (!ok && config.capture?.strict) {
+        throw new Error('Captura incompleta (capture.strict)');
+      }
+    } else {
+      console.log(`  ℹ️  Sin directivas de captura, usando imágenes existentes\n`);
+    }
+  } else if (needsCapture) {
+    // No capture configured: export with the images on disk, but say which are missing
+    const { missing, directives } = findMissingImages(resolvedConfig);
+    for (const m of missing) {
+      console.warn(`  ⚠️  ${m.href} (línea ${m.line}): la imagen no existe`);
+    }
+    console.log(`  ℹ️  Usando imágenes existentes` +
+      (directives ? ` (${directives} directiva(s) capture sin ejecutar: usá --capture o capture.builtin)` : '') + '\n');
   }
 
   // Execute requested exports
@@ -321,6 +412,14 @@ async function main() {
     case 'audit':
       await runSubcommand('audit.mjs');
       break;
+
+    case 'record':
+      await runSubcommand('record-scenes.mjs');
+      break;
+
+    case 'screenshots':
+      await runSubcommand('screenshot-diff.mjs');
+      break;
     
     case 'export':
     default:
@@ -0,0 +1,129 @@
+/**
+ * ============================================================
+ *  clip-cache.mjs — Content-addressed cache of encoded clips
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Slide clips are keyed by a SHA-256 of everything that can
+ *  change their pixels: slide data, theme CSS, resolution, fps,
+ *  animation settings and the bytes of referenced images.
+ *  Unchanged slides reuse their MP4 across export runs; only
+ *  edited sections are rendered and encoded again.
+ *
+ *  Layout:
+ *    <cacheDir>/<key>.mp4
+ *
+ * ============================================================
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, readdirSync, copyFileSync, rmSync, renameSync, statSync } from 'fs';
+import { join } from 'path';
+
+// Bump when the renderer or clip encoding changes in a way that
+// makes previously cached clips stale.
+const CACHE_VERSION = 1;
+
+// Only files named like this are ours; anything else in cacheDir is left alone
+const CLIP_FILE_RE = /^([0-9a-f]{64})\.mp4(\.partial)?$/;
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+// Image bytes are hashed once per run, even if many slides share them
+const fileHashes = new Map();
+function hashFile(path) {
+  if (!path || !existsSync(path)) return null;
+  if (!fileHashes.has(path)) fileHashes.set(path, sha256(readFileSync(path)));
+  return fileHashes.get(path);
+}
+
+/**
+ * Compute the cache key of a slide clip.
+ *
+ * @param {object} slide  Slide object (buildSlides / buildSlideForScene)
+ * @param {object} ctx    { css, resolution, fps, anim, duration }
+ * @returns {string}      Hex digest
+ */
+export function slideCacheKey(slide, ctx) {
+  const images = (slide.images || []).map((img) => ({ alt: img.alt, hash: hashFile(img.path) }));
+  const data = {
+    v: CACHE_VERSION,
+    // Narration only affects the clip through its duration, keyed below
+    slide: { ...slide, images, logo: hashFile(slide.logo), narration: undefined, duration: undefined },
+    css: sha256(ctx.css || ''),
+    resolution: ctx.resolution,
+    fps: ctx.fps,
+    anim: ctx.anim || null,
+    duration: Number(ctx.duration).toFixed(3),
+  };
+  return sha256(JSON.stringify(data));
+}
+
+/**
+ * Open (or create) a clip cache directory.
+ *
+ * @param {string} dir
+ * @returns {{ dir: string, used: Set<string>, get: Function, put: Function, prune: Function, stats: object }}
+ */
+export function openClipCache(dir) {
+  mkdirSync(dir, { recursive: true });
+  const used = new Set();
+  const stats = { hits: 0, misses: 0 };
+  const openedAt = Date.now();
+
+  return {
+    dir,
+    used,
+    stats,
+
+    /** Path of the cached clip for `key`, or null. */
+    get(key) {
+      used.add(key);
+      const path = join(dir, `${key}.mp4`);
+      if (existsSync(path)) {
+        stats.hits++;
+        return path;
+      }
+      stats.misses++;
+      return null;
+    },
+
+    /** Store a freshly encoded clip; returns its cached path. */
+    put(key, clipPath) {
+      used.add(key);
+      const path = join(dir, `${key}.mp4`);
+      const partial = `${path}.partial`;
+      copyFileSync(clipPath, partial);
+      renameSync(partial, path);
+      return path;
+    },
+
+    /**
+     * Delete cached clips whose key is not in `keep` (default: the keys
+     * used through this cache). Partials are only removed when they
+     * predate this cache, so a concurrent run's in-flight writes survive.
+     * Files that aren't clips are never touched. Returns how many
+     * files were removed.
+     *
+     * @param {Set<string>} [keep]
+     */
+    prune(keep = used) {
+      let removed = 0;
+      for (const file of readdirSync(dir)) {
+        const m = file.match(CLIP_FILE_RE);
+        if (!m) continue;
+        const path = join(dir, file);
+        const stale = m[2]
+          ? statSync(path, { throwIfNoEntry: false })?.mtimeMs < openedAt
+          : !keep.has(m[1]);
+        if (stale) {
+          rmSync(path, { force: true });
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
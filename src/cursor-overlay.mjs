@@ -2,6 +2,10 @@
  * ============================================================
  *  cursor-overlay.mjs — Visual cursor + click highlights
  *  Injected into Playwright pages during video recording
+ *
+ *  Also shows a keystroke badge ("Ctrl+S", "Enter"), a halo
+ *  around hovered controls, and offers human-paced typing so
+ *  form-filling scenes are easy to follow.
  * ============================================================
  */
 
@@ -43,14 +47,53 @@ export const CURSOR_CSS = `
   0%   { transform: translate(-50%, -50%) scale(0.3); opacity: 1; }
   100% { transform: translate(-50%, -50%) scale(2.5); opacity: 0; }
 }
+
+/* Keystroke badge */
+#__video-keys {
+  position: fixed;
+  left: 50%; bottom: 48px;
+  transform: translateX(-50%);
+  pointer-events: none;
+  z-index: 999999;
+  display: flex;
+  gap: 8px;
+  opacity: 0;
+  transition: opacity 0.2s ease-out;
+}
+#__video-keys.visible { opacity: 1; }
+#__video-keys kbd {
+  font: 600 22px/1 'Segoe UI', system-ui, sans-serif;
+  color: #fafafa;
+  background: rgba(9, 9, 11, 0.85);
+  border: 1px solid #3f3f46;
+  border-bottom-width: 3px;
+  border-radius: 8px;
+  padding: 10px 16px;
+  box-shadow: 0 6px 18px rgba(0,0,0,0.3);
+}
+
+/* Hover halo */
+#__video-hover {
+  position: fixed;
+  pointer-events: none;
+  z-index: 999997;
+  border-radius: 8px;
+  box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.55), 0 0 18px 6px rgba(59, 130, 246, 0.25);
+  opacity: 0;
+  transition: opacity 0.15s ease-out, top 0.1s ease-out, left 0.1s ease-out, width 0.1s ease-out, height 0.1s ease-out;
+}
+#__video-hover.visible { opacity: 1; }
 `;
 
 /**
  * JavaScript to inject into the page.
- * Creates a visible cursor element and listens for mouse events.
+ * Creates a visible cursor element and listens for mouse and keyboard events.
+ * Reads options from window.__videoCursorOptions (set by injectCursorOverlay).
  */
 export const CURSOR_SCRIPT = `
 (() => {
+  const opts = window.__videoCursorOptions || {};
+
   // Create cursor element
   const cursor = document.createElement('div');
   cursor.id = '__video-cursor';
@@ -63,8 +106,11 @@ export const CURSOR_SCRIPT = `
     cursor.style.top = e.clientY + 'px';
   }, true);
 
-  // Click ripple
+  // Click ripple (+ report to the recorder for zoom-to-action)
   document.addEventListener('mousedown', (e) => {
+    if (typeof window.__videoReportClick === 'function') {
+      window.__videoReportClick(e.clientX, e.clientY).catch(() => {});
+    }
     const ripple = document.createElement('div');
     ripple.className = 'click-ripple';
     ripple.style.left = e.clientX + 'px';
@@ -72,14 +118,131 @@ export const CURSOR_SCRIPT = `
     document.body.appendChild(ripple);
     setTimeout(() => ripple.remove(), 600);
   }, true);
+
+  // Keystroke badge: special keys and modifier combos ('combos'), or every key ('all')
+  if (opts.keystrokes !== false) {
+    const badge = document.createElement('div');
+    badge.id = '__video-keys';
+    document.body.appendChild(badge);
+    const NAMES = { ' ': 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc', Meta: '⌘' };
+    const SPECIAL = /^(Enter|Tab|Escape|Backspace|Delete|Arrow\\w+|Home|End|PageUp|PageDown|F\\d{1,2})$/;
+    let hideTimer = null;
+
+    document.addEventListener('keydown', (e) => {
+      if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
+      const combo = e.ctrlKey || e.altKey || e.metaKey;
+      if (opts.keystrokes !== 'all' && !combo && !SPECIAL.test(e.key)) return;
+
+      const keys = [];
+      if (e.ctrlKey) keys.push('Ctrl');
+      if (e.altKey) keys.push('Alt');
+      if (e.shiftKey && (combo || e.key.length > 1)) keys.push('Shift');
+      if (e.metaKey) keys.push('⌘');
+      keys.push(NAMES[e.key] || (e.key.length === 1 ? e.key.toUpperCase() : e.key));
+
+      badge.innerHTML = keys.map((k) => '<kbd>' + k.replace(/</g, '&lt;') + '</kbd>').join('');
+      badge.classList.add('visible');
+      clearTimeout(hideTimer);
+      hideTimer = setTimeout(() => badge.classList.remove('visible'), 1200);
+    }, true);
+  }
+
+  // Hover halo around interactive elements
+  if (opts.hover !== false) {
+    const halo = document.createElement('div');
+    halo.id = '__video-hover';
+    document.body.appendChild(halo);
+    const INTERACTIVE = 'a, button, input, select, textarea, label, summary, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [role="option"], [tabindex]:not([tabindex="-1"])';
+
+    document.addEventListener('mouseover', (e) => {
+      const el = e.target.closest && e.target.closest(INTERACTIVE);
+      if (!el) {
+        halo.classList.remove('visible');
+        return;
+      }
+      const r = el.getBoundingClientRect();
+      halo.style.left = (r.left - 4) + 'px';
+      halo.style.top = (r.top - 4) + 'px';
+      halo.style.width = (r.width + 8) + 'px';
+      halo.style.height = (r.height + 8) + 'px';
+      halo.classList.add('visible');
+    }, true);
+    document.addEventListener('scroll', () => halo.classList.remove('visible'), true);
+  }
 })();
 `;
 
+/**
+ * Report every click in the page back to Node with a wall-clock timestamp.
+ * Exposed once per page; survives navigations, unlike in-page state.
+ * Call before the first injectCursorOverlay().
+ *
+ * @param {import('playwright').Page} page
+ * @param {(click: { x: number, y: number, at: number }) => void} onClick
+ */
+export async function trackClicks(page, onClick) {
+  await page.exposeFunction('__videoReportClick', (x, y) => {
+    onClick({ x, y, at: Date.now() });
+  });
+}
+
 /**
  * Inject cursor overlay into a Playwright page.
  * Call this once after page.goto() or page.setContent().
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} [options]                    video.cursor config
+ * @param {'combos'|'all'|false} [options.keystrokes='combos']  Keystroke badge mode
+ * @param {boolean} [options.hover=true]        Halo around hovered controls
  */
-export async function injectCursorOverlay(page) {
+export async function injectCursorOverlay(page, options = {}) {
+  const { keystrokes = 'combos', hover = true } = options;
   await page.addStyleTag({ content: CURSOR_CSS });
-  await page.addScriptTag({ content: CURSOR_SCRIPT });
+  await page.addScriptTag({
+    content: `window.__videoCursorOptions = ${JSON.stringify({ keystrokes, hover })};\n${CURSOR_SCRIPT}`,
+  });
+}
+
+// ─── Human-paced typing ────────────────────────────────────────
+/**
+ * Type text into a field character by character with a natural rhythm,
+ * so the viewer sees the caret advance instead of text popping in.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string|import('playwright').Locator} target  Selector or locator
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.typingDelay=70]  Average ms per character
+ * @param {boolean} [options.clear=true]     Clear the field first
+ * @param {number} [options.timeout]         Max ms to wait for the field (Playwright default)
+ * @param {boolean} [options.force]          Skip actionability checks, like fill({ force })
+ */
+export async function humanType(page, target, text, options = {}) {
+  const { typingDelay = 70, clear = true, timeout, force } = options;
+  const locator = typeof target === 'string' ? page.locator(target) : target;
+
+  await locator.click({ timeout, force });
+  if (clear) {
+    await locator.fill('', { timeout, force });
+  }
+  for (const ch of String(text)) {
+    // ±50% jitter, slightly longer pauses after spaces and punctuation
+    const base = typingDelay * (0.5 + Math.random());
+    await page.keyboard.type(ch);
+    await page.waitForTimeout(/[\s.,;:]/.test(ch) ? base * 1.8 : base);
+  }
+}
+
+/**
+ * Make `page.fill(selector, value, options)` type like a human for the rest
+ * of the recording. Scene actions written with fill() get the caret effect
+ * without changes, keeping their `timeout` / `force`; locator.fill() is left
+ * untouched (use humanType()).
+ */
+export function enableHumanTyping(page, options = {}) {
+  page.fill = (selector, value, fillOptions = {}) => humanType(page, selector, value, {
+    ...options,
+    timeout: fillOptions.timeout,
+    force: fillOptions.force,
+  });
 }
@@ -0,0 +1,424 @@
+/**
+ * ============================================================
+ *  diagrams.mjs — Mermaid / Eraser blocks → SVG or PNG
+ *  replicant-2049
+ * ============================================================
+ *
+ *  SRS, CLAUDE.md and ERASER-DSL.md carry fenced diagram code.
+ *  Before an export, every ```mermaid and ```eraser block is
+ *  rendered offline in Playwright (mermaid's browser bundle from
+ *  node_modules, no network) and the fence is replaced by an
+ *  image reference, so PDF, DOCX and HTML embed a picture
+ *  instead of printing the code.
+ *
+ *  Eraser DSL is translated to Mermaid first (flowchart /
+ *  architecture, ER and sequence diagrams). Icons and colors
+ *  are eraser.io features and are ignored.
+ *
+ *  Rendered files are content-addressed:
+ *    <cacheDir>/diagram-<hash>.svg|png
+ *  so unchanged diagrams are reused across runs.
+ *
+ *  Config (top level):
+ *    diagrams: {
+ *      theme: 'neutral',      // mermaid theme: default | neutral | dark | forest
+ *      scale: 2,              // PNG device scale factor
+ *      cacheDir: './.tutorial-diagram-cache',
+ *    }
+ *  `diagrams: false` leaves the code blocks as they are.
+ *
+ * ============================================================
+ */
+
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { chromium } from 'playwright';
+
+const require = createRequire(import.meta.url);
+
+// Bump when the rendering below changes the output for the same source
+const CACHE_VERSION = 1;
+const DIAGRAM_LANGS = ['mermaid', 'eraser'];
+
+// ─── Fenced blocks ─────────────────────────────────────────────
+/**
+ * Find top-level ```mermaid / ```eraser fences.
+ *
+ * @param {string} md
+ * @returns {Array<{ lang: string, code: string, start: number, end: number }>}
+ *          start/end are line indexes of the opening and closing fence
+ */
+export function findDiagramBlocks(md) {
+  const lines = md.split('\n');
+  const blocks = [];
+  let open = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(/^\s{0,3}(`{3,}|~{3,})\s*([\w-]*)/);
+    if (!m) continue;
+    if (!open) {
+      open = { fence: m[1], lang: m[2].toLowerCase(), start: i };
+    } else if (m[1][0] === open.fence[0] && m[1].length >= open.fence.length && !m[2]) {
+      if (DIAGRAM_LANGS.includes(open.lang)) {
+        blocks.push({ lang: open.lang, code: lines.slice(open.start + 1, i).join('\n'), start: open.start, end: i });
+      }
+      open = null;
+    }
+  }
+  return blocks;
+}
+
+// ─── Eraser DSL → Mermaid ──────────────────────────────────────
+const SHAPES = {
+  rect: (l) => `["${l}"]`,
+  rectangle: (l) => `["${l}"]`,
+  oval: (l) => `(["${l}"])`,
+  ellipse: (l) => `(["${l}"])`,
+  circle: (l) => `(("${l}"))`,
+  diamond: (l) => `{"${l}"}`,
+  cylinder: (l) => `[("${l}")]`,
+  parallelogram: (l) => `[/"${l}"/]`,
+  hexagon: (l) => `{{"${l}"}}`,
+};
+const DIRECTIONS = { right: 'LR', left: 'RL', down: 'TB', up: 'BT' };
+
+const quote = (text) => String(text).replace(/"/g, '#quot;');
+
+/** `Name [shape: oval, icon: x]: Label` → { name, attrs, label } */
+function parseNode(text) {
+  const m = text.match(/^(.+?)\s*(?:\[([^\]]*)\])?\s*(?::\s*(.+))?$/);
+  const attrs = {};
+  for (const pair of (m[2] || '').split(',')) {
+    const [k, v] = pair.split(':').map((s) => s?.trim());
+    if (k && v) attrs[k] = v;
+  }
+  return { name: m[1].trim(), attrs, label: m[3]?.trim() };
+}
+
+function eraserLines(source) {
+  let title = null;
+  const lines = [];
+  for (const raw of source.split('\n')) {
+    const comment = raw.match(/^\s*\/\/\s*(.*)$/);
+    if (comment) {
+      if (!title && comment[1] && !/^=+/.test(comment[1])) title = comment[1].trim();
+      continue;
+    }
+    const line = raw.replace(/\s+\/\/.*$/, '').trim();
+    if (line) lines.push(line);
+  }
+  return { title, lines };
+}
+
+const CARDINALITY_RE = /^(.+?)\s+([1*])--([1*])\s+(.+?)(?:\s*:\s*(.*))?$/;
+const FIELD_RE = /^[\w$-]+\s*:\s*[\w[\]<>$-]+(\s*\[[^\]]*\])?$/;
+
+/**
+ * `A --> B: label` → { from, op, to, label }, or null for a node line.
+ * The label starts at the first ':' outside `[...]`; one-character
+ * operators need spaces so hyphenated names stay intact.
+ */
+function parseEdge(line) {
+  let depth = 0;
+  let cut = line.length;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '[') depth++;
+    else if (line[i] === ']') depth--;
+    else if (line[i] === ':' && depth === 0) { cut = i; break; }
+  }
+  const head = line.slice(0, cut);
+  const m = head.match(/^(.+?)\s*(<-->|<->|-->|<--|->|<-)\s*(.+)$/) || head.match(/^(.+?)\s+(<>|<|>|--|-)\s+(.+)$/);
+  if (!m || /\[[^\]]*$/.test(m[1])) return null;
+  const label = cut < line.length ? line.slice(cut + 1).trim() : '';
+  return { from: m[1].trim(), op: m[2], to: m[3].trim(), label };
+}
+
+function detectKind(lines) {
+  let depth = 0;
+  let fields = false;
+  for (const l of lines) {
+    if (l.endsWith('{')) depth++;
+    else if (l === '}') depth--;
+    else if (depth > 0 && FIELD_RE.test(l)) fields = true;
+  }
+  if (fields || lines.some((l) => CARDINALITY_RE.test(l))) return 'er';
+  const arrows = lines.filter((l) => !l.endsWith('{')).map(parseEdge).filter(Boolean).map((e) => e.op);
+  if (arrows.length && arrows.every((a) => ['->', '<-', '<->'].includes(a))) return 'sequence';
+  return 'flow';
+}
+
+function eraserFlow(lines) {
+  const ids = new Map();
+  const declared = new Set();
+  const out = [];
+  let direction = null;
+  let groupCount = 0;
+  const id = (name) => {
+    if (!ids.has(name)) ids.set(name, `n${ids.size + 1}`);
+    return ids.get(name);
+  };
+
+  for (const line of lines) {
+    const dir = line.match(/^direction\s+(\w+)$/i);
+    if (dir) {
+      direction = DIRECTIONS[dir[1].toLowerCase()] || direction;
+      continue;
+    }
+    if (line === '}') {
+      out.push('end');
+      continue;
+    }
+    if (line.endsWith('{')) {
+      const { name } = parseNode(line.slice(0, -1).trim());
+      groupCount++;
+      out.push(`subgraph ${id(name)}["${quote(name)}"]`);
+      declared.add(name);
+      continue;
+    }
+    const edge = parseEdge(line);
+    if (edge) {
+      const { from, op, to, label } = edge;
+      const arrow = { '-->': '-->', '>': '-->', '->': '-->', '<--': '<--', '<-': '<--', '<': '<--',
+        '<-->': '<-->', '<->': '<-->', '<>': '<-->', '--': '---', '-': '---' }[op];
+      const [a, b, link] = arrow === '<--' ? [to, from, '-->'] : [from, to, arrow];
+      const text = label ? `|"${quote(label)}"|` : '';
+      out.push(`${id(a)} ${link}${text} ${id(b)}`);
+      continue;
+    }
+    const node = parseNode(line);
+    const shape = SHAPES[node.attrs.shape] || SHAPES.rect;
+    out.push(`${id(node.name)}${shape(quote(node.label || node.name))}`);
+    declared.add(node.name);
+  }
+
+  // Nodes only mentioned in connections still need a label
+  for (const [name, nid] of ids) {
+    if (!declared.has(name)) out.push(`${nid}["${quote(name)}"]`);
+  }
+  return [`flowchart ${direction || (groupCount ? 'LR' : 'TD')}`, ...out.map((l) => `  ${l}`)].join('\n');
+}
+
+function eraserER(lines) {
+  const entity = (name) => name.trim().split('.')[0].replace(/[^\w-]/g, '_');
+  const card = { left: { 1: '||', '*': '}o' }, right: { 1: '||', '*': 'o{' } };
+  const ops = { '<': ['1', '*'], '>': ['*', '1'], '-': ['1', '1'], '<>': ['*', '*'] };
+  const out = ['erDiagram'];
+  let current = null;
+
+  for (const line of lines) {
+    if (line.endsWith('{')) {
+      current = entity(parseNode(line.slice(0, -1).trim()).name);
+      out.push(`  ${current} {`);
+      continue;
+    }
+    if (line === '}') {
+      out.push('  }');
+      current = null;
+      continue;
+    }
+    if (current) {
+      const f = line.match(/^([\w$-]+)\s*:?\s*([^\s[]+)?\s*(?:\[([^\]]*)\])?/);
+      if (!f) continue;
+      const flags = (f[3] || '').split(',').map((s) => s.trim().toLowerCase());
+      const keys = [flags.includes('pk') && 'PK', flags.includes('fk') && 'FK', flags.includes('unique') && 'UK'].filter(Boolean);
+      const type = (f[2] || 'string').replace(/[^\w]/g, '_');
+      out.push(`    ${type} ${f[1].replace(/[^\w-]/g, '_')}${keys.length ? ` ${keys.join(', ')}` : ''}`);
+      continue;
+    }
+    const c = line.match(CARDINALITY_RE);
+    const r = c ? null : parseEdge(line);
+    if (c || (r && ops[r.op])) {
+      const [from, [l, rt], to, label] = c ? [c[1], [c[2], c[3]], c[4], c[5]] : [r.from, ops[r.op], r.to, r.label];
+      out.push(`  ${entity(from)} ${card.left[l]}--${card.right[rt]} ${entity(to)} : "${quote(label || '')}"`);
+      continue;
+    }
+    out.push(`  ${entity(parseNode(line).name)}`);
+  }
+  return out.join('\n');
+}
+
+function eraserSequence(lines) {
+  const ids = new Map();
+  const out = [];
+  const id = (name) => {
+    name = name.trim();
+    if (!ids.has(name)) {
+      ids.set(name, `p${ids.size + 1}`);
+      out.push(`  participant ${ids.get(name)} as ${name}`);
+    }
+    return ids.get(name);
+  };
+  const block = (line) => line.match(/^(?:\}\s*)?(loop|opt|alt|else|par|and)\b\s*(?:\[\s*label\s*:\s*([^\]]*)\])?\s*\{$/i);
+
+  for (const line of lines) {
+    const b = block(line);
+    if (b) {
+      const kw = b[1].toLowerCase();
+      // `} else [label: ...] {` continues the alt / par instead of closing it
+      out.push(`  ${kw}${b[2] ? ` ${b[2].trim()}` : ''}`);
+      continue;
+    }
+    if (line === '}') {
+      out.push('  end');
+      continue;
+    }
+    const edge = parseEdge(line);
+    if (edge) {
+      const { from, op, to, label } = edge;
+      const arrow = { '->': '->>', '-->': '-->>', '<-': '->>', '<--': '-->>', '<->': '<<->>', '<-->': '<<-->>' }[op] || '->>';
+      const [a, b2] = op.startsWith('<') && !op.endsWith('>') ? [to, from] : [from, to];
+      out.push(`  ${id(a)}${arrow}${id(b2)}: ${label || ' '}`);
+      continue;
+    }
+    id(parseNode(line).name);
+  }
+  return ['sequenceDiagram', ...out].join('\n');
+}
+
+/**
+ * Translate Eraser diagram-as-code into Mermaid.
+ *
+ * @param {string} source
+ * @returns {{ code: string, kind: 'flow'|'er'|'sequence', title: string|null }}
+ */
+export function eraserToMermaid(source) {
+  const { title, lines } = eraserLines(source);
+  const kind = detectKind(lines);
+  const code = kind === 'er' ? eraserER(lines) : kind === 'sequence' ? eraserSequence(lines) : eraserFlow(lines);
+  return { code, kind, title };
+}
+
+function mermaidTitle(code) {
+  return code.match(/^---\s*\n[\s\S]*?^title:\s*(.+)$/m)?.[1].trim()
+    || code.match(/^\s*%%\s*(.+)$/m)?.[1].trim()
+    || null;
+}
+
+// ─── Rendering ─────────────────────────────────────────────────
+let _mermaidVersion = null;
+function mermaidBundle() {
+  const path = require.resolve('mermaid/dist/mermaid.min.js');
+  _mermaidVersion ??= JSON.parse(readFileSync(join(dirname(path), '..', 'package.json'), 'utf8')).version;
+  return path;
+}
+
+// Runs in the page: render one diagram and return standalone SVG markup
+async function renderInPage({ code, id }) {
+  const { svg } = await window.mermaid.render(id, code);
+  const host = document.getElementById('diagram');
+  host.innerHTML = svg;
+  const el = host.querySelector('svg');
+  // Intrinsic size from the viewBox, so <img> and Word don't stretch it
+  const vb = el.viewBox.baseVal;
+  if (vb && vb.width) {
+    el.setAttribute('width', String(Math.ceil(vb.width)));
+    el.setAttribute('height', String(Math.ceil(vb.height)));
+    el.style.maxWidth = '';
+  }
+  return new XMLSerializer().serializeToString(el);
+}
+
+/**
+ * Render every diagram fence of a Markdown document and replace it
+ * with an image reference to the cached SVG/PNG.
+ *
+ * @param {string} md
+ * @param {object} config  Resolved config (input, _configPath, diagrams)
+ * @param {object} opts
+ * @param {'svg'|'png'} opts.format   svg for PDF/HTML, png for DOCX
+ * @param {import('playwright').Browser} [opts.browser]  Reused when given
+ * @returns {Promise<{ markdown: string, images: string[], rendered: number, cached: number, failed: Array<{ line, error }> }>}
+ *          images are the hrefs written into the Markdown for the diagrams
+ */
+export async function renderDiagrams(md, config, { format, browser = null }) {
+  const result = { markdown: md, images: [], rendered: 0, cached: 0, failed: [] };
+  const diagCfg = config.diagrams === false ? null : (config.diagrams || {});
+  const blocks = diagCfg ? findDiagramBlocks(md) : [];
+  if (blocks.length === 0) return result;
+
+  const baseDir = dirname(config._configPath || config.input);
+  const cacheDir = resolve(baseDir, diagCfg.cacheDir || '.tutorial-diagram-cache');
+  const theme = diagCfg.theme || 'neutral';
+  const scale = diagCfg.scale ?? 2;
+  const bundle = mermaidBundle();
+  mkdirSync(cacheDir, { recursive: true });
+
+  const items = blocks.map((block, i) => {
+    const eraser = block.lang === 'eraser' ? eraserToMermaid(block.code) : null;
+    const code = eraser ? eraser.code : block.code;
+    const key = createHash('sha256')
+      .update(JSON.stringify({ v: CACHE_VERSION, mermaid: _mermaidVersion, code, format, theme, scale }))
+      .digest('hex').slice(0, 16);
+    return {
+      ...block, code, index: i + 1,
+      title: (eraser ? eraser.title : mermaidTitle(code)) || `Diagrama ${i + 1}`,
+      path: join(cacheDir, `diagram-${key}.${format}`),
+    };
+  });
+
+  const pending = items.filter((it) => !existsSync(it.path));
+  result.cached = items.length - pending.length;
+
+  if (pending.length > 0) {
+    const ownBrowser = !browser;
+    browser ||= await chromium.launch({ headless: true });
+    const context = await browser.newContext({ deviceScaleFactor: scale, viewport: { width: 1600, height: 1200 } });
+    const page = await context.newPage();
+    try {
+      await page.setContent('<!DOCTYPE html><html><body style="margin:0;background:#fff"><div id="diagram" style="display:inline-block;padding:16px"></div></body></html>');
+      await page.addScriptTag({ path: bundle });
+      await page.evaluate((t) => window.mermaid.initialize({
+        startOnLoad: false,
+        theme: t,
+        securityLevel: 'strict',
+        htmlLabels: false,
+        flowchart: { htmlLabels: false },
+        fontFamily: 'Inter, "Segoe UI", system-ui, sans-serif',
+      }), theme);
+
+      for (const it of pending) {
+        try {
+          const svg = await page.evaluate(renderInPage, { code: it.code, id: `d${it.index}` });
+          const partial = `${it.path}.partial`;
+          if (format === 'svg') {
+            writeFileSync(partial, `<?xml version="1.0" encoding="UTF-8"?>\n${svg}`, 'utf8');
+          } else {
+            await page.locator('#diagram').screenshot({ path: partial, type: 'png' });
+          }
+          renameSync(partial, it.path);
+          result.rendered++;
+        } catch (err) {
+          result.failed.push({ line: it.start + 1, error: err.message.split('\n')[0] });
+          it.path = null;
+        }
+      }
+    } finally {
+      await context.close();
+      if (ownBrowser) await browser.close();
+    }
+  }
+
+  // Replace fences bottom-up so line indexes stay valid; failed ones keep their code
+  const lines = md.split('\n');
+  for (const it of [...items].reverse()) {
+    if (!it.path) continue;
+    const href = it.path.replace(/\\/g, '/');
+    result.images.push(href);
+    lines.splice(it.start, it.end - it.start + 1, `![${it.title.replace(/[[\]]/g, '')}](<${href}>)`);
+  }
+  result.markdown = lines.join('\n');
+  return result;
+}
+
+/** Log a one-line summary of renderDiagrams(). */
+export function printDiagramReport(result) {
+  const total = result.rendered + result.cached + result.failed.length;
+  if (total === 0) return;
+  console.log(`  Diagramas: ${result.rendered} renderizados, ${result.cached} en caché` +
+    (result.failed.length ? `, ${result.failed.length} con error` : ''));
+  for (const f of result.failed) {
+    console.warn(`  WARN: Diagrama en línea ${f.line} no renderizado (se deja el código): ${f.error}`);
+  }
+}
@@ -8,6 +8,9 @@
  *    - Blank first page (for cover to be added manually in Word/PPTX)
  *    - Auto-generated Table of Contents
  *    - Styled headings, body text, tables, lists, code blocks
+ *      (syntax colors from the theme's code palette, see highlight.mjs)
+ *    - `> [!NOTE]` / `> [!WARNING]` callouts as shaded, bordered boxes
+ *    - Rendered Mermaid / Eraser diagrams as PNG (see diagrams.mjs)
  *
  *  Uses the `docx` npm package (v9+).
  * ============================================================
@@ -19,11 +22,14 @@ import {
   AlignmentType, PageBreak, ShadingType,
   TableOfContents,
   convertMillimetersToTwip, convertInchesToTwip,
-  Header, Footer, PageNumber,
+  Header, Footer, PageNumber, ImageRun,
 } from 'docx';
 import { readFileSync, existsSync, writeFileSync, statSync } from 'fs';
 import { dirname } from 'path';
 import { marked } from 'marked';
+import { renderDiagrams, printDiagramReport } from './diagrams.mjs';
+import { parseCodeInfo, codeTokens, resolveCodePalette } from './highlight.mjs';
+import { parseCallout, CALLOUT_TYPES } from './admonitions.mjs';
 
 // ─── Theme constants ───────────────────────────────────────────
 const C = {
@@ -70,8 +76,108 @@ function inlineRuns(text, font = F.b, sz = 11, color = C.body) {
   return runs;
 }
 
+// ─── Diagrams ──────────────────────────────────────────────────
+// Widest image in px (96 dpi): ~16 cm, inside Letter with 1" margins
+const MAX_IMAGE_WIDTH = 600;
+
+/** A paragraph whose only content is one image, or null. */
+function standaloneImage(t) {
+  const parts = (t.tokens || []).filter((tok) => !(tok.type === 'text' && !tok.text.trim()));
+  return parts.length === 1 && parts[0].type === 'image' ? parts[0] : null;
+}
+
+/** A rendered diagram PNG, centered; size from the PNG IHDR chunk. */
+function diagramParagraph(img) {
+  const data = readFileSync(img.href);
+  const size = { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  const width = Math.min(MAX_IMAGE_WIDTH, size.width);
+  return new Paragraph({
+    alignment: AlignmentType.CENTER,
+    spacing: { before: 120, after: 120 },
+    keepLines: true,
+    children: [new ImageRun({
+      type: 'png',
+      data,
+      transformation: { width, height: Math.round(size.height * (width / size.width)) },
+      altText: { name: img.text || 'Diagrama', description: img.text || '', title: img.text || '' },
+    })],
+  });
+}
+
+/** '#0f172a' / '#abc' → the 'RRGGBB' docx expects */
+function hex(color) {
+  const c = String(color).replace(/^#/, '');
+  return c.length === 3 ? c.replace(/./g, '$&$&') : c;
+}
+
+/** One shaded paragraph per line, runs colored from the code palette. */
+function codeParagraphs(t, ctx) {
+  const { palette, code: codeCfg } = ctx;
+  const info = parseCodeInfo(t.lang);
+  const lines = codeTokens((t.text || '').replace(/\n$/, ''), codeCfg.highlight === false ? '' : info.lang);
+  const numbered = info.lineNumbers ?? !!codeCfg.lineNumbers;
+  const digits = String(lines.length).length;
+  const shading = { type: ShadingType.CLEAR, fill: hex(palette.background) };
+  const els = [];
+
+  if (info.title) {
+    els.push(new Paragraph({
+      spacing: { before: 120, after: 0 },
+      keepNext: true,
+      shading: { type: ShadingType.CLEAR, fill: hex(palette.captionBackground) },
+      children: [new TextRun({ text: info.title, font: F.c, size: 17, color: hex(palette.captionForeground) })],
+    }));
+  }
+
+  lines.forEach((segments, li) => {
+    const runs = numbered
+      ? [new TextRun({ text: `${String(li + 1).padStart(digits)}  `, font: F.c, size: 19, color: hex(palette.lineNumber) })]
+      : [];
+    for (const seg of segments) {
+      runs.push(new TextRun({
+        text: seg.text,
+        font: F.c, size: 19,
+        color: hex(palette[seg.role] || palette.foreground),
+        italics: seg.role === 'comment',
+      }));
+    }
+    if (!segments.length) runs.push(new TextRun({ text: ' ', font: F.c, size: 19 }));
+    els.push(new Paragraph({
+      spacing: { before: 0, after: 0 },
+      keepLines: true,
+      keepNext: li < lines.length - 1,  // bind to next line except last
+      shading,
+      children: runs,
+    }));
+  });
+  return els;
+}
+
+/** A callout as a one-cell table: tinted fill, thick left edge in the type's color. */
+function calloutTable(callout, ctx) {
+  const { color, background } = CALLOUT_TYPES[callout.type];
+  const thin = { style: BorderStyle.SINGLE, size: 4, color: hex(color) };
+  const title = new Paragraph({
+    spacing: { before: 0, after: 60 },
+    keepNext: true,
+    children: [new TextRun({ text: `${callout.icon}  ${callout.title}`, bold: true, font: F.h, size: 11 * 2, color: hex(color) })],
+  });
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    borders: { top: thin, bottom: thin, right: thin, left: { ...thin, size: 24 } },
+    rows: [new TableRow({
+      cantSplit: true,
+      children: [new TableCell({
+        shading: { type: ShadingType.CLEAR, fill: hex(background) },
+        margins: { top: 100, bottom: 100, left: 180, right: 180 },
+        children: [title, ...convertTokens(marked.lexer(callout.body), ctx)],
+      })],
+    })],
+  });
+}
+
 // ─── Convert MD tokens → Paragraph[] ──────────────────────────
-function convertTokens(tokens) {
+function convertTokens(tokens, ctx) {
   const els = [];
   let skipFirstH1 = true;
 
@@ -104,6 +210,12 @@ function convertTokens(tokens) {
     }
 
     else if (t.type === 'paragraph') {
+      // Only diagrams are embedded; other images stay as text (README P1)
+      const img = standaloneImage(t);
+      if (img && ctx.diagrams.has(img.href)) {
+        els.push(diagramParagraph(img));
+        continue;
+      }
       els.push(new Paragraph({
         spacing: { before: 50, after: 50 },
         widowControl: true,
@@ -111,6 +223,11 @@ function convertTokens(tokens) {
       }));
     }
 
+    else if (t.type === 'blockquote' && parseCallout(t.text)) {
+      els.push(calloutTable(parseCallout(t.text), ctx));
+      els.push(new Paragraph({ spacing: { before: 0, after: 80 }, children: [] }));
+    }
+
     else if (t.type === 'blockquote' && t.tokens) {
       for (const sub of t.tokens) {
         if (sub.type === 'paragraph') {
@@ -183,18 +300,7 @@ function convertTokens(tokens) {
     }
 
     else if (t.type === 'code') {
-      const codeLines = (t.text || '').split('\n');
-      for (let ci = 0; ci < codeLines.length; ci++) {
-        els.push(new Paragraph({
-          spacing: { before: 0, after: 0 },
-          keepLines: true,
-          keepNext: ci < codeLines.length - 1,  // bind to next line except last
-          children: [new TextRun({
-            text: codeLines[ci] || ' ',
-            font: F.c, size: 19, color: '333333',
-          })],
-        }));
-      }
+      els.push(...codeParagraphs(t, ctx));
     }
 
     else if (t.type === 'hr') {
@@ -218,9 +324,13 @@ function convertTokens(tokens) {
 }
 
 // ─── Build Document ────────────────────────────────────────────
-function buildDocx(config, mdContent) {
+function buildDocx(config, mdContent, palette, diagramImages = []) {
   const tokens = marked.lexer(mdContent);
-  const content = convertTokens(tokens);
+  const content = convertTokens(tokens, {
+    diagrams: new Set(diagramImages),
+    code: config.code || {},
+    palette,
+  });
 
   const m = config.margins || { top: 25.4, right: 25.4, bottom: 25.4, left: 25.4 };
   const pageProps = {
@@ -310,8 +420,12 @@ export async function exportToDocx(config) {
   const mdContent = readFileSync(config.input, 'utf8');
   console.log('  Markdown: ' + mdContent.split('\n').length + ' líneas');
 
+  // Mermaid / Eraser fences → PNG images (Word has no reliable SVG support)
+  const diagrams = await renderDiagrams(mdContent, config, { format: 'png' });
+  printDiagramReport(diagrams);
+
   console.log('  Generando DOCX...');
-  const doc = buildDocx(config, mdContent);
+  const doc = buildDocx(config, diagrams.markdown, await resolveCodePalette(config), diagrams.images);
   const buffer = await Packer.toBuffer(doc);
   writeFileSync(config.output, buffer);
 
@@ -8,7 +8,10 @@
  *  designed to be fetched and injected into a React/Vue/etc app.
  *
  *  Images are referenced as relative paths (not base64) so the
- *  host app can serve them from its own static assets.
+ *  host app can serve them from its own static assets. Code
+ *  blocks carry highlight.js classes; their colors ship in
+ *  tutorial-code.css, built from the theme's code palette.
+ *  `> [!NOTE]`-style callouts are styled by tutorial-callouts.css.
  *
  *  Usage:
  *    import { exportTutorialToHTML } from './export-html.mjs';
@@ -21,19 +24,32 @@ import { readFileSync, writeFileSync, existsSync, mkdirSync, copyFileSync, readd
 import { join, resolve, dirname, extname, basename } from 'path';
 import { fileURLToPath } from 'url';
 import { marked } from 'marked';
+import { renderDiagrams, printDiagramReport } from './diagrams.mjs';
+import { renderCodeBlock, codeCSS, resolveCodePalette } from './highlight.mjs';
+import { parseCallout, calloutHTML, CALLOUT_CSS } from './admonitions.mjs';
 
 /**
  * Process Markdown into HTML, keeping image paths as relative URLs.
  * Images are referenced as `./SS/filename.png` so the host app
- * can serve them from the same directory as the HTML.
+ * can serve them from the same directory as the HTML. Rendered
+ * diagrams (`diagramImages`, from renderDiagrams) are copied next to them.
  */
-function processMarkdownForWeb(mdContent, imagesDir) {
+function processMarkdownForWeb(mdContent, imagesDir, outputDir, codeCfg, diagramImages = []) {
+  const diagrams = new Set(diagramImages);
   const missingImages = [];
   let imageCount = 0;
   let foundCount = 0;
 
   marked.use({
     renderer: {
+      code(token) {
+        return renderCodeBlock(token, codeCfg);
+      },
+      blockquote(token) {
+        const callout = parseCallout(token.text);
+        if (!callout) return false;  // plain blockquote: marked's default
+        return calloutHTML(callout, this.parser.parse(marked.lexer(callout.body)));
+      },
       heading({ text, depth, raw }) {
         const cleanText = raw
           .replace(/[^\w\sáéíóúñü.-]/gi, '')
@@ -63,6 +79,12 @@ function processMarkdownForWeb(mdContent, imagesDir) {
           missingImages.push(href);
         }
 
+        // Rendered diagrams live in the diagram cache: ship them with the screenshots
+        if (diagrams.has(href) && exists) {
+          mkdirSync(join(outputDir, 'SS'), { recursive: true });
+          copyFileSync(href, join(outputDir, 'SS', basename(href)));
+        }
+
         // Keep the original relative path — the host app serves these
         const alt = text || title || '';
         const imgSrc = href.startsWith('SS/') ? href : `SS/${basename(href)}`;
@@ -148,6 +170,8 @@ function copyImages(imagesDir, outputDir) {
  *     tutorial-content.html   — HTML fragment (no <html>/<body> wrapper)
  *     tutorial-toc.json       — Array of { level, id, text }
  *     tutorial-meta.json      — { title, version, generatedAt, imageCount }
+ *     tutorial-code.css       — Code block colors (highlight.js classes)
+ *     tutorial-callouts.css   — Callout boxes (Nota, Tip, Importante, …)
  *     SS/                     — Screenshot images (copied)
  *
  * @param {Object} config — Resolved config from cli.mjs
@@ -179,11 +203,18 @@ export async function exportTutorialToHTML(config, options = {}) {
   const mdContent = readFileSync(config.input, 'utf8');
   console.log('  Markdown:  ' + mdContent.split('\n').length + ' líneas');
 
+  // Mermaid / Eraser fences → SVG images
+  const diagrams = await renderDiagrams(mdContent, config, { format: 'svg' });
+  printDiagramReport(diagrams);
+
   // Process markdown to HTML with relative image paths
   console.log('  Procesando Markdown...');
   const { html, imageCount, foundCount, missingImages } = processMarkdownForWeb(
-    mdContent,
-    config.imagesDir
+    diagrams.markdown,
+    config.imagesDir,
+    outputDir,
+    config.code,
+    diagrams.images
   );
 
   // Extract TOC
@@ -215,17 +246,23 @@ export async function exportTutorialToHTML(config, options = {}) {
   const htmlPath = join(outputDir, 'tutorial-content.html');
   const tocPath = join(outputDir, 'tutorial-toc.json');
   const metaPath = join(outputDir, 'tutorial-meta.json');
+  const codeCssPath = join(outputDir, 'tutorial-code.css');
+  const calloutCssPath = join(outputDir, 'tutorial-callouts.css');
 
   writeFileSync(htmlPath, html, 'utf8');
   writeFileSync(tocPath, JSON.stringify(toc, null, 2), 'utf8');
   writeFileSync(metaPath, JSON.stringify(meta, null, 2), 'utf8');
+  writeFileSync(codeCssPath, codeCSS(await resolveCodePalette(config)), 'utf8');
+  writeFileSync(calloutCssPath, CALLOUT_CSS, 'utf8');
 
   console.log('  ✅ HTML exportado:');
   console.log('     📄 ' + htmlPath);
   console.log('     📋 ' + tocPath + ` (${toc.length} entries)`);
   console.log('     📊 ' + metaPath);
+  console.log('     🎨 ' + codeCssPath);
+  console.log('     🎨 ' + calloutCssPath);
   console.log('     🖼️  ' + join(outputDir, 'SS/') + ` (${copiedCount} images)`);
   console.log('========================================\n');
 
-  return { htmlPath, tocPath, metaPath, outputDir };
+  return { htmlPath, tocPath, metaPath, codeCssPath, calloutCssPath, outputDir };
 }
@@ -15,10 +15,14 @@
  */
 
 import { chromium } from 'playwright';
-import { readFileSync, existsSync, statSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, statSync } from 'fs';
 import { join, resolve, dirname, extname } from 'path';
 import { fileURLToPath, pathToFileURL } from 'url';
 import { marked } from 'marked';
+import { readDestinations, finalizePDF } from './pdf-structure.mjs';
+import { renderDiagrams, printDiagramReport } from './diagrams.mjs';
+import { renderCodeBlock, codeCSS, resolveCodePalette } from './highlight.mjs';
+import { parseCallout, calloutHTML } from './admonitions.mjs';
 
 // ─── Load theme ────────────────────────────────────────────────
 async function loadThemeCSS(theme) {
@@ -177,24 +181,51 @@ function buildCardCover(coverConfig, margins, dateStr) {
 }
 
 // ─── Build TOC ─────────────────────────────────────────────────
-function buildTOC(htmlContent, tocTitle) {
-  const headingRegex = /<h([23])\s*id="([^"]*)"[^>]*>(.*?)<\/h[23]>/gi;
+// Dot leaders + right-aligned page numbers. The number slot keeps its
+// width while empty so the draft render lays out like the final one.
+const TOC_PAGE_CSS = `
+  .toc-list li a { display: flex; align-items: baseline; gap: 6px; }
+  .toc-list .toc-text { flex: 0 1 auto; }
+  .toc-list .toc-leader { flex: 1 1 auto; min-width: 16px; border-bottom: 1px dotted currentColor; opacity: 0.45; transform: translateY(-3px); }
+  .toc-list .toc-page { flex: 0 0 auto; min-width: 2.5em; text-align: right; font-variant-numeric: tabular-nums; }
+`;
+
+/**
+ * Headings with an id (as rendered by processMarkdown), in document order.
+ * `text` keeps HTML entities; `plain` is decoded for PDF bookmarks.
+ */
+function collectHeadings(html, minLevel, maxLevel) {
+  const headingRegex = new RegExp(`<h([${minLevel}-${maxLevel}])\\s*id="([^"]*)"[^>]*>(.*?)<\\/h\\1>`, 'gi');
   const items = [];
   let match;
 
-  while ((match = headingRegex.exec(htmlContent)) !== null) {
-    const level = parseInt(match[1]);
-    const id = match[2];
+  while ((match = headingRegex.exec(html)) !== null) {
     const text = match[3].replace(/<[^>]+>/g, '');
-    items.push({ level, id, text });
+    const plain = text
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'").replace(/&amp;/g, '&').trim();
+    items.push({ level: parseInt(match[1]), id: match[2], text, plain });
   }
+  return items;
+}
+
+/**
+ * @param {string} htmlContent
+ * @param {string} [tocTitle]
+ * @param {object} [opts]  { depth: 2–4 (default 3), pageNumbers: boolean }
+ */
+function buildTOC(htmlContent, tocTitle, opts = {}) {
+  const depth = Math.min(4, Math.max(2, opts.depth || 3));
+  const items = collectHeadings(htmlContent, 2, depth);
 
   if (items.length === 0) return '';
 
   const listItems = items
-    .map(
-      (item) =>
-        `<li class="toc-h${item.level}"><a href="#${item.id}">${item.text}</a></li>`
+    .map((item) =>
+      opts.pageNumbers
+        ? `<li class="toc-h${item.level}"><a href="#${item.id}"><span class="toc-text">${item.text}</span>` +
+          `<span class="toc-leader"></span><span class="toc-page" data-toc-page="${item.id}"></span></a></li>`
+        : `<li class="toc-h${item.level}"><a href="#${item.id}">${item.text}</a></li>`
     )
     .join('\n      ');
 
@@ -207,10 +238,48 @@ function buildTOC(htmlContent, tocTitle) {
   </div>`;
 }
 
+// ─── Bookmarks & metadata ──────────────────────────────────────
+/**
+ * Invisible links to every H1–H4: Chromium only writes a named
+ * destination for elements some link points to, and the bookmark
+ * tree needs one per heading (the TOC stops at H3 by default).
+ */
+function buildOutlineAnchors(htmlContent) {
+  const links = collectHeadings(htmlContent, 1, 4).map((h) => `<a href="#${h.id}"></a>`).join('');
+  if (!links) return '';
+  return `<nav class="pdf-anchors" aria-hidden="true" style="position:absolute;left:0;top:0;width:1px;height:1px;overflow:hidden;">${links}</nav>`;
+}
+
+/**
+ * PDF document properties from `meta` (top level), falling back to the
+ * cover: title, subtitle as subject, the "Autor" cover row or footer as author.
+ */
+function pdfMetadata(config) {
+  const meta = config.meta || {};
+  const cover = config.cover || {};
+  const coverRows = cover.meta || {};
+  const keywords = meta.keywords || [];
+  return {
+    title: (meta.title || cover.title || '').replace(/\s*\n\s*/g, ' — ').trim() || null,
+    author: meta.author || coverRows.Autor || coverRows.Author || cover.footer || null,
+    subject: meta.subject || cover.subtitle || null,
+    keywords: Array.isArray(keywords) ? keywords : String(keywords).split(',').map((k) => k.trim()).filter(Boolean),
+    creator: 'replicant-2049',
+  };
+}
+
 // ─── Process Markdown ──────────────────────────────────────────
-function processMarkdown(mdContent, imagesDir) {
+function processMarkdown(mdContent, imagesDir, codeCfg) {
   marked.use({
     renderer: {
+      code(token) {
+        return renderCodeBlock(token, codeCfg);
+      },
+      blockquote(token) {
+        const callout = parseCallout(token.text);
+        if (!callout) return false;  // plain blockquote: marked's default
+        return calloutHTML(callout, this.parser.parse(marked.lexer(callout.body)));
+      },
       heading({ text, depth, raw }) {
         const cleanText = raw
           .replace(/[^\w\sáéíóúñü.-]/gi, '')
@@ -275,9 +344,11 @@ function processMarkdown(mdContent, imagesDir) {
 
 // ─── Build full HTML ───────────────────────────────────────────
 function buildFullHTML(config, css, mdContent) {
-  const contentHTML = processMarkdown(mdContent, config.imagesDir);
+  const contentHTML = processMarkdown(mdContent, config.imagesDir, config.code);
   const cover = config.cover ? buildCover(config.cover, config.margins) : '';
-  const toc = buildTOC(contentHTML, config.tocTitle);
+  const tocPageNumbers = config.tocPageNumbers !== false;
+  const toc = buildTOC(contentHTML, config.tocTitle, { depth: config.tocDepth, pageNumbers: tocPageNumbers });
+  const anchors = config.bookmarks !== false ? buildOutlineAnchors(contentHTML) : '';
   const title = config.cover?.title || 'Tutorial';
   const hasImageCover = config.cover?.backgroundImage && existsSync(config.cover.backgroundImage);
 
@@ -298,9 +369,11 @@ function buildFullHTML(config, css, mdContent) {
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>${title}</title>
   <style>${css}</style>
+  ${tocPageNumbers ? `<style>${TOC_PAGE_CSS}</style>` : ''}
   ${marginCSS ? `<style>${marginCSS}</style>` : ''}
 </head>
 <body>
+  ${anchors}
   ${cover}
   ${toc}
   <div class="content">
@@ -353,14 +426,19 @@ export async function exportTutorialToPDF(config, existingBrowser = null) {
   }
   console.log(`  Imágenes: ${foundCount}/${imgRefs.length} disponibles`);
 
-  // Load theme CSS
-  console.log('  Generando HTML...');
-  const css = await loadThemeCSS(config.theme);
-  const fullHTML = buildFullHTML(config, css, mdContent);
-
   // Launch or reuse browser
   const ownBrowser = !existingBrowser;
   const browser = existingBrowser || (await chromium.launch({ headless: true }));
+
+  // Mermaid / Eraser fences → SVG images
+  const diagrams = await renderDiagrams(mdContent, config, { format: 'svg', browser });
+  printDiagramReport(diagrams);
+
+  // Load theme CSS + code palette
+  console.log('  Generando HTML...');
+  const css = (await loadThemeCSS(config.theme)) + codeCSS(await resolveCodePalette(config));
+  const fullHTML = buildFullHTML(config, css, diagrams.markdown);
+
   const context = await browser.newContext({ viewport: { width: 1200, height: 800 } });
   const page = await context.newPage();
 
@@ -385,10 +463,7 @@ export async function exportTutorialToPDF(config, existingBrowser = null) {
         left: `${m.left}mm`,
       };
 
-  // Generate PDF
-  console.log('  Generando PDF...');
-  await page.pdf({
-    path: config.output,
+  const pdfOptions = {
     format: config.format || 'A4',
     printBackground: true,
     margin: pdfMargin,
@@ -401,7 +476,38 @@ export async function exportTutorialToPDF(config, existingBrowser = null) {
       <div style="width:100%;text-align:center;font-size:9px;color:#94a3b8;font-family:system-ui;">
         <span class="pageNumber"></span> / <span class="totalPages"></span>
       </div>`,
-  });
+  };
+
+  // Two-pass layout: a draft render tells which page each TOC heading
+  // landed on; the numbers are filled in and the final PDF rendered.
+  const tocSlots = await page.locator('[data-toc-page]').count();
+  if (tocSlots > 0) {
+    console.log('  Calculando números de página del índice...');
+    const dests = await readDestinations(await page.pdf(pdfOptions));
+    const pages = Object.fromEntries([...dests].map(([id, d]) => [id, d.page + 1]));
+    const missing = await page.evaluate((pageById) => {
+      let miss = 0;
+      for (const el of document.querySelectorAll('[data-toc-page]')) {
+        const n = pageById[el.dataset.tocPage];
+        el.textContent = n ?? '';
+        if (n == null) miss++;
+      }
+      return miss;
+    }, pages);
+    if (missing > 0) console.warn(`  WARN: ${missing}/${tocSlots} entradas del índice sin número de página`);
+  }
+
+  // Generate PDF
+  console.log('  Generando PDF...');
+  const rendered = await page.pdf(pdfOptions);
+
+  // Bookmark tree + document properties
+  const headings = config.bookmarks !== false
+    ? collectHeadings(fullHTML, 1, 4).map((h) => ({ level: h.level, id: h.id, text: h.plain }))
+    : [];
+  const { bytes, bookmarks } = await finalizePDF(rendered, { headings, metadata: pdfMetadata(config) });
+  writeFileSync(config.output, bytes);
+  if (headings.length) console.log(`  Marcadores: ${bookmarks}/${headings.length}`);
 
   await context.close();
   if (ownBrowser) await browser.close();
@@ -5,21 +5,52 @@
  * ============================================================
  *
  *  Strategy:
- *    1. Load scene definitions (slide/recording mix)
- *    2. For slides: screenshot rendered HTML → static clip
- *    3. For recordings: Playwright recordVideo of live app
- *    4. FFmpeg concatenates all clips → final .mp4
+ *    1. Load scene definitions (slide/recording mix) from JS
+ *       modules or declarative JSON/YAML (see scene-dsl.mjs)
+ *    2. For slides: screenshot rendered HTML → static clip, or
+ *       (video.animation) a frame sequence over animationPhase 0→1.
+ *       Encoded slide clips are cached by content hash across runs
+ *       (see clip-cache.mjs)
+ *    3. For recordings: Playwright recordVideo of live app, with an
+ *       optional zoom-to-action pass around each click (zoom-focus.mjs).
+ *       Scenes run under a timeout with retries; broken scenes are left
+ *       out (or abort the export in strict mode) and get a screenshot +
+ *       trace in `<video>.failures/report.md`. With video.startCommand
+ *       the app is started for the recordings and stopped afterwards
+ *       (see app-server.mjs)
+ *    4. FFmpeg joins all clips (cut / crossfade / fade-black) → final .mp4,
+ *       with an optional presenter / avatar / logo overlay in a corner
+ *       (see overlay.mjs)
+ *    5. Optional narration: local TTS per slide/scene, slides
+ *       stretched to fit their audio (see narration.mjs)
+ *    6. Optional captions: .srt / .vtt sidecars timed to the clips,
+ *       optionally burned into the video (see captions.mjs)
+ *    7. Optional audio bed: background music (looped, faded,
+ *       ducked under narration) muxed into the final .mp4
+ *    8. Chapter markers from section-title slides (MP4 metadata
+ *       + `<video>.chapters.txt`, see chapters.mjs)
  *
  * ============================================================
  */
 
 import { chromium } from 'playwright';
-import { existsSync, mkdirSync, rmSync, statSync, writeFileSync, readdirSync, copyFileSync } from 'fs';
-import { join, dirname, resolve } from 'path';
+import { existsSync, mkdirSync, rmSync, statSync, writeFileSync, readdirSync, copyFileSync, rmdirSync } from 'fs';
+import { join, dirname, resolve, basename, extname } from 'path';
 import { pathToFileURL } from 'url';
 import { spawn } from 'child_process';
+import { cpus } from 'os';
 import { buildSlides } from './slide-builder.mjs';
 import { renderSlideHTML, loadVideoThemeCSS } from './slide-renderer.mjs';
+import { synthesizeNarration } from './narration.mjs';
+import { CALLOUT_TYPES } from './admonitions.mjs';
+import { captionText, buildCaptionCues, writeCaptionFiles, escapeFilterPath } from './captions.mjs';
+import { buildChapters, writeChapterFiles } from './chapters.mjs';
+import { openClipCache, slideCacheKey } from './clip-cache.mjs';
+import { buildZoomFilter } from './zoom-focus.mjs';
+import { loadScenes } from './scene-dsl.mjs';
+import { resolveAuth, rolesFor, prepareAuth, authContextOptions, applyAuth } from './auth-session.mjs';
+import { appServerOptions, startApp } from './app-server.mjs';
+import { resolveOverlay, overlayVisible, overlayWindows, buildOverlayFilter } from './overlay.mjs';
 
 // ─── Find FFmpeg binary ────────────────────────────────────────
 let _ffmpegPath = null;
@@ -53,6 +84,20 @@ function runFFmpeg(args, label) {
   });
 }
 
+// ─── Probe a media file's duration (seconds) ───────────────────
+function probeDuration(ffmpeg, input) {
+  return new Promise((res) => {
+    const proc = spawn(ffmpeg, ['-hide_banner', '-i', input], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    proc.stderr.on('data', (d) => { stderr += d.toString(); });
+    proc.on('close', () => {
+      const m = stderr.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+      res(m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : 0);
+    });
+    proc.on('error', () => res(0));
+  });
+}
+
 // ─── Convert an image to a video clip ──────────────────────────
 async function imageToClip(ffmpeg, imgPath, duration, fps, resolution, outPath) {
   await runFFmpeg([
@@ -69,6 +114,23 @@ async function imageToClip(ffmpeg, imgPath, duration, fps, resolution, outPath)
   ], 'img→clip');
 }
 
+// ─── Convert a reveal frame sequence to a video clip ───────────
+// Frames play at `frameRate`, then the last one is held until `duration`.
+async function framesToClip(ffmpeg, framePattern, frameRate, revealDuration, duration, fps, resolution, outPath) {
+  const hold = Math.max(0, duration - revealDuration);
+  await runFFmpeg([
+    ffmpeg, '-y',
+    '-framerate', String(frameRate),
+    '-i', framePattern,
+    '-t', String(duration),
+    '-c:v', 'libx264',
+    '-preset', 'ultrafast',
+    '-pix_fmt', 'yuv420p',
+    '-vf', `scale=${resolution.width}:${resolution.height}:force_original_aspect_ratio=decrease,pad=${resolution.width}:${resolution.height}:(ow-iw)/2:(oh-ih)/2,tpad=stop_mode=clone:stop_duration=${hold.toFixed(3)},fps=${fps}`,
+    outPath,
+  ], 'frames→clip');
+}
+
 // ─── Re-encode a recording to match specs ──────────────────────
 async function normalizeClip(ffmpeg, input, fps, resolution, outPath) {
   await runFFmpeg([
@@ -85,18 +147,425 @@ async function normalizeClip(ffmpeg, input, fps, resolution, outPath) {
   ], 'normalize');
 }
 
+// ─── Zoom to action (recordings) ───────────────────────────────
+async function zoomClip(ffmpeg, input, filter, outPath) {
+  await runFFmpeg([
+    ffmpeg, '-y',
+    '-i', input,
+    '-vf', filter,
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '20',
+    '-pix_fmt', 'yuv420p',
+    outPath,
+  ], 'zoom');
+}
+
+// ─── Extend a clip by freezing its last frame ──────────────────
+async function padClip(ffmpeg, input, extra, fps, outPath) {
+  await runFFmpeg([
+    ffmpeg, '-y',
+    '-i', input,
+    '-vf', `tpad=stop_mode=clone:stop_duration=${extra.toFixed(3)}`,
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '22',
+    '-pix_fmt', 'yuv420p',
+    '-r', String(fps),
+    outPath,
+  ], 'pad');
+}
+
+// ─── Narration helpers ─────────────────────────────────────────
+/**
+ * Synthesize narration for slides or scenes. Returns an array aligned
+ * with `items` ({ path, duration } | null), or null when narration is
+ * disabled or the TTS engine is unavailable (the export continues silent).
+ */
+async function prepareNarration(items, narrCfg, tmpDir) {
+  if (!narrCfg || narrCfg.enabled === false) return null;
+  if (!items.some((it) => it.narration)) return null;
+  try {
+    return await synthesizeNarration(items, narrCfg, join(tmpDir, 'narration'));
+  } catch (err) {
+    console.warn(`\n  ⚠️  Narración deshabilitada: ${err.message}`);
+    return null;
+  }
+}
+
+/** Minimum clip length so the narration fits with lead-in and tail. */
+function fitDuration(base, audio, narrCfg) {
+  if (!audio) return base;
+  const leadIn = narrCfg.leadIn ?? 0.4;
+  const tail = narrCfg.tail ?? 0.8;
+  return Math.max(base, leadIn + audio.duration + tail);
+}
+
+/** Place every clip's narration on the timeline as a single WAV track. */
+async function buildNarrationTrack(ffmpeg, timeline, narrCfg, outPath) {
+  const voiced = timeline.clips.filter((c) => c.narration);
+  const leadIn = narrCfg.leadIn ?? 0.4;
+  const inputs = [];
+  const filters = [];
+
+  voiced.forEach((c, i) => {
+    inputs.push('-i', c.narration.path);
+    const delay = Math.round((c.start + leadIn) * 1000);
+    filters.push(`[${i}:a]aresample=48000,adelay=${delay}:all=1[n${i}]`);
+  });
+  const labels = voiced.map((_, i) => `[n${i}]`).join('');
+  filters.push(`${labels}amix=inputs=${voiced.length}:duration=longest:normalize=0,apad,atrim=0:${timeline.total.toFixed(3)}[aout]`);
+
+  await runFFmpeg([
+    ffmpeg, '-y',
+    ...inputs,
+    '-filter_complex', filters.join(';'),
+    '-map', '[aout]',
+    '-c:a', 'pcm_s16le',
+    outPath,
+  ], 'narration');
+}
+
+// ─── Slide reveal animation ────────────────────────────────────
+// Easing curves map linear time (0→1) to the renderers' animationPhase.
+const EASINGS = {
+  'linear': (t) => t,
+  'ease-in': (t) => t * t * t,
+  'ease-out': (t) => 1 - Math.pow(1 - t, 3),
+  'ease-in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+function resolveAnimation(animCfg, fps) {
+  if (!animCfg || animCfg.enabled === false) return null;
+  const easing = animCfg.easing || 'ease-out';
+  if (!EASINGS[easing]) {
+    console.warn(`  ⚠️  Easing desconocido "${easing}", usando 'ease-out'`);
+  }
+  return {
+    revealDuration: animCfg.revealDuration ?? 1.2,
+    frameRate: Math.min(animCfg.frameRate || 30, fps),
+    easing: EASINGS[easing] ? easing : 'ease-out',
+  };
+}
+
+/**
+ * Render one slide into an MP4 clip.
+ * Without animation: a single screenshot at phase 1.0 held for `duration`.
+ * With animation: N frames across the reveal, eased, then the final frame held.
+ */
+async function renderSlideClip(page, slide, opts) {
+  const { css, resolution, fps, ffmpeg, anim, workDir, name, duration, outPath } = opts;
+
+  if (!anim) {
+    const imgPath = join(workDir, `${name}.png`);
+    await page.setContent(renderSlideHTML(slide, 1.0, css, resolution), { waitUntil: 'domcontentloaded' });
+    await page.screenshot({ path: imgPath, type: 'png' });
+    await imageToClip(ffmpeg, imgPath, duration, fps, resolution, outPath);
+    return;
+  }
+
+  const reveal = Math.min(anim.revealDuration, duration);
+  const frameCount = Math.max(2, Math.ceil(reveal * anim.frameRate));
+  const ease = EASINGS[anim.easing];
+  const framesDir = join(workDir, `${name}-frames`);
+  mkdirSync(framesDir, { recursive: true });
+
+  for (let f = 0; f < frameCount; f++) {
+    const phase = ease(f / (frameCount - 1));
+    await page.setContent(renderSlideHTML(slide, phase, css, resolution), { waitUntil: 'domcontentloaded' });
+    await page.screenshot({ path: join(framesDir, `frame-${String(f).padStart(4, '0')}.png`), type: 'png' });
+  }
+
+  await framesToClip(ffmpeg, join(framesDir, 'frame-%04d.png'), anim.frameRate,
+    frameCount / anim.frameRate, duration, fps, resolution, outPath);
+}
+
+/**
+ * renderSlideClip() through the clip cache: reuse the stored MP4 when the
+ * slide's content hash is known, otherwise render and store it.
+ * Returns the clip path to use on the timeline.
+ */
+async function cachedSlideClip(cache, page, slide, opts) {
+  if (!cache) {
+    await renderSlideClip(page, slide, opts);
+    return opts.outPath;
+  }
+  const key = slideCacheKey(slide, {
+    css: opts.css, resolution: opts.resolution, fps: opts.fps, anim: opts.anim, duration: opts.duration,
+  });
+  const hit = cache.get(key);
+  if (hit) return hit;
+  await renderSlideClip(page, slide, opts);
+  return cache.put(key, opts.outPath);
+}
+
+// ─── Bounded concurrency pool ──────────────────────────────────
+/**
+ * Run `worker(item, index, slot)` over `items` with at most `limit` in flight.
+ * `slot` (0…limit-1) identifies the lane so each one can own a resource
+ * such as a Playwright page. Results keep the input order.
+ */
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async (_, slot) => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i, slot);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
 // ─── Load cursor overlay module ────────────────────────────────
 async function loadCursorOverlay() {
   try {
     const thisDir = dirname(new URL(import.meta.url).pathname.replace(/^\/([A-Z]:)/, '$1'));
     const modPath = pathToFileURL(resolve(thisDir, 'cursor-overlay.mjs')).href;
-    const mod = await import(modPath);
-    return mod.injectCursorOverlay;
+    return await import(modPath);
   } catch {
     return null;
   }
 }
 
+// ─── Transitions ───────────────────────────────────────────────
+// Maps config transition names to FFmpeg xfade transitions.
+// 'cut' joins clips back-to-back with no overlap.
+const XFADE_TRANSITIONS = {
+  'crossfade': 'fade',
+  'fade-black': 'fadeblack',
+};
+
+function resolveTransition(name) {
+  if (!name || name === 'cut') return 'cut';
+  if (XFADE_TRANSITIONS[name]) return name;
+  console.warn(`\n  ⚠️  Transición desconocida "${name}", usando 'cut'`);
+  return 'cut';
+}
+
+/**
+ * Lay clips out on the final timeline.
+ * The transition of clip i applies to the junction between clip i-1 and i;
+ * its duration is clamped so it never eats more than half of either clip.
+ *
+ * @param {object[]} clips  { path, duration, transition?, transitionDuration? }
+ * @param {object} defaults { transition, transitionDuration }
+ * @returns {{ clips: object[], total: number }} clips with start/end/transition resolved
+ */
+function planTimeline(clips, defaults) {
+  const planned = [];
+  let total = 0;
+
+  for (let i = 0; i < clips.length; i++) {
+    const clip = clips[i];
+    let transition = 'cut';
+    let overlap = 0;
+
+    if (i > 0) {
+      transition = resolveTransition(clip.transition ?? defaults.transition);
+      if (transition !== 'cut') {
+        const wanted = clip.transitionDuration ?? defaults.transitionDuration ?? 0.5;
+        const limit = Math.min(planned[i - 1].duration, clip.duration) / 2;
+        overlap = Math.max(0, Math.min(wanted, limit - 0.01));
+        if (overlap === 0) transition = 'cut';
+      }
+    }
+
+    const start = total - overlap;
+    total = start + clip.duration;
+    planned.push({ ...clip, transition, overlap, start, end: total });
+  }
+
+  return { clips: planned, total };
+}
+
+// ─── Join clips into the final video ───────────────────────────
+async function joinClips(ffmpeg, timeline, fps, tmpDir, outPath) {
+  const { clips } = timeline;
+
+  // All hard cuts: stream-copy concat, no re-encode
+  if (clips.every((c) => c.transition === 'cut')) {
+    const concatFile = join(tmpDir, 'concat.txt');
+    writeFileSync(concatFile,
+      clips.map(c => `file '${c.path.replace(/\\/g, '/')}'`).join('\n'),
+      'utf8'
+    );
+    await runFFmpeg([
+      ffmpeg, '-y',
+      '-f', 'concat', '-safe', '0',
+      '-i', concatFile,
+      '-c', 'copy',
+      '-movflags', '+faststart',
+      outPath,
+    ], 'concat');
+    return;
+  }
+
+  // Chain xfade / concat filters pairwise along the timeline
+  const inputs = [];
+  const filters = [];
+  clips.forEach((c, i) => {
+    inputs.push('-i', c.path);
+    filters.push(`[${i}:v]settb=AVTB,fps=${fps},format=yuv420p,setsar=1[v${i}]`);
+  });
+
+  let prev = 'v0';
+  for (let i = 1; i < clips.length; i++) {
+    const c = clips[i];
+    const out = i === clips.length - 1 ? 'vout' : `x${i}`;
+    if (c.transition === 'cut') {
+      filters.push(`[${prev}][v${i}]concat=n=2:v=1:a=0[${out}]`);
+    } else {
+      filters.push(`[${prev}][v${i}]xfade=transition=${XFADE_TRANSITIONS[c.transition]}:duration=${c.overlap.toFixed(3)}:offset=${c.start.toFixed(3)}[${out}]`);
+    }
+    prev = out;
+  }
+
+  await runFFmpeg([
+    ffmpeg, '-y',
+    ...inputs,
+    '-filter_complex', filters.join(';'),
+    '-map', clips.length > 1 ? '[vout]' : '[v0]',
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '20',
+    '-pix_fmt', 'yuv420p',
+    '-r', String(fps),
+    '-movflags', '+faststart',
+    outPath,
+  ], 'transitions');
+}
+
+// ─── Presenter / logo overlay ──────────────────────────────────
+async function applyOverlay(ffmpeg, input, overlay, timeline, fps, outPath) {
+  const { inputs, filter } = buildOverlayFilter(overlay, overlayWindows(timeline), { fps, total: timeline.total });
+  await runFFmpeg([
+    ffmpeg, '-y',
+    '-i', input,
+    ...inputs,
+    '-filter_complex', filter,
+    '-map', '[vout]',
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '20',
+    '-pix_fmt', 'yuv420p',
+    '-r', String(fps),
+    '-t', timeline.total.toFixed(3),
+    '-movflags', '+faststart',
+    outPath,
+  ], 'overlay');
+}
+
+// ─── Burn subtitles into the video ─────────────────────────────
+async function burnCaptions(ffmpeg, input, srtPath, style, fps, outPath) {
+  const forceStyle = style || 'FontName=Segoe UI,FontSize=22,PrimaryColour=&H00FFFFFF,OutlineColour=&H80000000,BorderStyle=3,Outline=1,Shadow=0,MarginV=40';
+  await runFFmpeg([
+    ffmpeg, '-y',
+    '-i', input,
+    '-vf', `subtitles='${escapeFilterPath(srtPath)}':force_style='${forceStyle}'`,
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-crf', '20',
+    '-pix_fmt', 'yuv420p',
+    '-r', String(fps),
+    '-movflags', '+faststart',
+    outPath,
+  ], 'subtitles');
+}
+
+// ─── Mix background music / narration into the video ───────────
+/**
+ * Lay an audio bed under an already-joined video.
+ * Music is looped or trimmed to the video length, faded in/out and, when a
+ * narration track is present, ducked with a sidechain compressor keyed on it.
+ *
+ * @param {string} ffmpeg
+ * @param {string} videoPath  Joined video (no audio)
+ * @param {number} duration   Video length in seconds
+ * @param {object} audio      { music, volume, fadeIn, fadeOut, ducking, narration }
+ * @param {string} outPath
+ */
+async function mixAudio(ffmpeg, videoPath, duration, audio, outPath) {
+  const D = duration.toFixed(3);
+  const inputs = ['-i', videoPath];
+  const filters = [];
+  let musicLabel = null;
+  let narrLabel = null;
+
+  if (audio.music) {
+    inputs.push('-stream_loop', '-1', '-i', audio.music);
+    const idx = inputs.filter(a => a === '-i').length - 1;
+    const fadeIn = Math.min(audio.fadeIn ?? 2, duration / 2);
+    const fadeOut = Math.min(audio.fadeOut ?? 3, duration / 2);
+    const chain = [
+      `atrim=0:${D}`,
+      'asetpts=PTS-STARTPTS',
+      `volume=${audio.volume ?? 0.3}`,
+    ];
+    if (fadeIn > 0) chain.push(`afade=t=in:st=0:d=${fadeIn.toFixed(3)}`);
+    if (fadeOut > 0) chain.push(`afade=t=out:st=${(duration - fadeOut).toFixed(3)}:d=${fadeOut.toFixed(3)}`);
+    filters.push(`[${idx}:a]${chain.join(',')}[music]`);
+    musicLabel = 'music';
+  }
+
+  if (audio.narration) {
+    inputs.push('-i', audio.narration);
+    const idx = inputs.filter(a => a === '-i').length - 1;
+    filters.push(`[${idx}:a]apad,atrim=0:${D},asetpts=PTS-STARTPTS[narr]`);
+    narrLabel = 'narr';
+  }
+
+  if (musicLabel && narrLabel) {
+    if (audio.ducking !== false) {
+      filters.push('[narr]asplit=2[narrmix][narrkey]');
+      filters.push('[music][narrkey]sidechaincompress=threshold=0.02:ratio=8:attack=20:release=400[ducked]');
+      filters.push('[ducked][narrmix]amix=inputs=2:duration=first:normalize=0[aout]');
+    } else {
+      filters.push('[music][narr]amix=inputs=2:duration=first:normalize=0[aout]');
+    }
+  } else {
+    filters.push(`[${musicLabel || narrLabel}]anull[aout]`);
+  }
+
+  await runFFmpeg([
+    ffmpeg, '-y',
+    ...inputs,
+    '-filter_complex', filters.join(';'),
+    '-map', '0:v',
+    '-map', '[aout]',
+    '-c:v', 'copy',
+    '-c:a', 'aac',
+    '-b:a', '192k',
+    '-t', D,
+    '-movflags', '+faststart',
+    outPath,
+  ], 'audio mix');
+}
+
+// ─── Embed chapter metadata ────────────────────────────────────
+async function applyChapters(ffmpeg, input, metadataPath, outPath) {
+  await runFFmpeg([
+    ffmpeg, '-y',
+    '-i', input,
+    '-i', metadataPath,
+    '-map', '0',
+    '-map_metadata', '1',
+    '-map_chapters', '1',
+    '-c', 'copy',
+    '-movflags', '+faststart',
+    outPath,
+  ], 'chapters');
+}
+
+/** Chapter title for a hybrid scene (explicit `chapter` or section-title slide). */
+function sceneChapter(scene) {
+  if (scene.chapter) return scene.chapter;
+  if (scene.type !== 'slide' || scene.slideType !== 'section-title' || !scene.title) return null;
+  const num = scene.sectionNumber ? String(scene.sectionNumber) : '';
+  return num && !scene.title.startsWith(num) ? `${num}. ${scene.title}` : scene.title;
+}
+
 // ─── Build slide data for a scene ──────────────────────────────
 function buildSlideForScene(scene, config) {
   const cover = config.cover || {};
@@ -121,6 +590,18 @@ function buildSlideForScene(scene, config) {
       duration: scene.duration || 4,
     };
   }
+  if (scene.slideType === 'callout') {
+    const variant = CALLOUT_TYPES[scene.variant] ? scene.variant : 'note';
+    return {
+      type: 'callout',
+      variant,
+      icon: CALLOUT_TYPES[variant].icon,
+      title: scene.title || CALLOUT_TYPES[variant].label,
+      prose: scene.text || '',
+      bullets: scene.bullets || [],
+      duration: scene.duration || 5,
+    };
+  }
   if (scene.slideType === 'closing') {
     return {
       type: 'closing',
@@ -138,13 +619,272 @@ function buildSlideForScene(scene, config) {
   };
 }
 
+// ─── Resilient scene recording ─────────────────────────────────
+// video.recording: { timeout, actionTimeout, retries, strict, trace, failureDir }
+// (seconds); recording scenes may override timeout / retries.
+const RECORDING_DEFAULTS = { timeout: 120, actionTimeout: 15, retries: 1, strict: false, trace: true };
+
+function resolveRecordingOptions(videoCfg, scene) {
+  const rec = { ...RECORDING_DEFAULTS, ...videoCfg.recording };
+  if (scene.timeout != null) rec.timeout = scene.timeout;
+  if (scene.retries != null) rec.retries = scene.retries;
+  rec.retries = Math.max(0, Math.floor(rec.retries));
+  return rec;
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'escena';
+}
+
+function withTimeout(promise, seconds, label) {
+  let timer;
+  promise.catch(() => { /* settled after the timeout; context is already closed */ });
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label}: timeout después de ${seconds}s`)), seconds * 1000);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Record one attempt of a hybrid scene. A failed navigation, an HTTP error
+ * on appUrl, or actions that throw or exceed `rec.timeout` fail the attempt:
+ * the partial video is discarded and the thrown Error carries `screenshot`
+ * and `trace` paths (`<failurePrefix>.png` / `.trace.zip`).
+ *
+ * @returns {Promise<{ videoPath: string, clicks: object[] }>}
+ */
+async function recordScene(browser, scene, opts) {
+  const { resolution, rec, recDir, failurePrefix, appUrl, auth, cursorCfg, cursorMod, injectCursor, zoomCfg } = opts;
+  rmSync(recDir, { recursive: true, force: true });
+  mkdirSync(recDir, { recursive: true });
+
+  const ctx = await browser.newContext({
+    ...authContextOptions(auth, scene.role),
+    viewport: { width: resolution.width, height: resolution.height },
+    recordVideo: {
+      dir: recDir,
+      size: { width: resolution.width, height: resolution.height },
+    },
+  });
+  await applyAuth(ctx, auth, scene.role);
+  if (rec.trace) await ctx.tracing.start({ screenshots: true, snapshots: true });
+  const page = await ctx.newPage();
+  page.setDefaultTimeout(rec.actionTimeout * 1000);
+  const recordStart = Date.now();
+  const clicks = [];
+
+  try {
+    // Capture clicks for zoom-to-action
+    if (zoomCfg && cursorMod?.trackClicks) {
+      await cursorMod.trackClicks(page, (c) => {
+        clicks.push({ x: c.x, y: c.y, time: (c.at - recordStart) / 1000 });
+      });
+    }
+
+    // Navigate to app
+    const response = await page.goto(appUrl, { waitUntil: 'networkidle', timeout: 20000 });
+    if (response && response.status() >= 400) {
+      throw new Error(`${appUrl} respondió HTTP ${response.status()}`);
+    }
+    await page.waitForTimeout(1000);
+
+    // Inject cursor overlay (keystrokes, hover halo, human typing)
+    if (injectCursor) {
+      await injectCursor(page, cursorCfg);
+      page.on('load', async () => {
+        try { await injectCursor(page, cursorCfg); } catch { /* page closed */ }
+      });
+    }
+    if (cursorCfg.humanTyping && cursorMod?.enableHumanTyping) {
+      cursorMod.enableHumanTyping(page, cursorCfg);
+    }
+
+    await withTimeout(Promise.resolve().then(() => scene.actions(page)), rec.timeout, 'acciones');
+  } catch (err) {
+    const failure = new Error(err.message.split('\n')[0]);
+    mkdirSync(dirname(failurePrefix), { recursive: true });
+    failure.screenshot = `${failurePrefix}.png`;
+    await page.screenshot({ path: failure.screenshot }).catch(() => { failure.screenshot = null; });
+    failure.trace = rec.trace ? `${failurePrefix}.trace.zip` : null;
+    if (rec.trace) await ctx.tracing.stop({ path: failure.trace }).catch(() => { failure.trace = null; });
+    await ctx.close().catch(() => {});
+    throw failure;
+  }
+
+  if (rec.trace) await ctx.tracing.stop();
+  const video = page.video();
+  await ctx.close();
+
+  // Find recorded file
+  let videoPath = null;
+  if (video) {
+    try {
+      videoPath = await video.path();
+    } catch { /* ignore */ }
+  }
+  if (!videoPath || !existsSync(videoPath)) {
+    // Fallback: look in recDir
+    const files = readdirSync(recDir).filter(f => f.endsWith('.webm'));
+    videoPath = files.length > 0 ? join(recDir, files[0]) : null;
+  }
+  if (!videoPath) throw new Error('Playwright no generó el video de la grabación');
+
+  return { videoPath, clicks };
+}
+
+/** Failure artifacts prefix of a recording scene: `<failureDir>/003-alta-de-pago`. */
+function failurePrefixFor(failureDir, scene, i) {
+  const label = scene.name || scene.description || `rec-${i}`;
+  return join(failureDir, `${String(i).padStart(3, '0')}-${slugify(label)}`);
+}
+
+/**
+ * Remove the report and per-scene artifacts a hybrid run writes into
+ * `failureDir` — never anything else, since the directory is configurable.
+ * The directory itself goes only when that leaves it empty.
+ */
+function clearFailureArtifacts(failureDir, scenes) {
+  rmSync(join(failureDir, 'report.md'), { force: true });
+  scenes.forEach((scene, i) => {
+    if (scene.type !== 'recording') return;
+    const prefix = failurePrefixFor(failureDir, scene, i);
+    rmSync(`${prefix}.png`, { force: true });
+    rmSync(`${prefix}.trace.zip`, { force: true });
+  });
+  if (existsSync(failureDir) && readdirSync(failureDir).length === 0) rmdirSync(failureDir);
+}
+
+/** Write `<failureDir>/report.md` for the scenes that could not be recorded. */
+function writeFailureReport(failureDir, failures) {
+  mkdirSync(failureDir, { recursive: true });
+  const rel = (p) => (p ? basename(p) : '—');
+  const lines = [
+    '# Escenas con error de grabación',
+    '',
+    `Generado: ${new Date().toISOString()}`,
+    '',
+    '| # | Escena | Intentos | Error | Screenshot | Trace |',
+    '|---|--------|----------|-------|------------|-------|',
+    ...failures.map((f) =>
+      `| ${f.index + 1} | ${f.label} | ${f.attempts} | ${f.error.replace(/\|/g, '\\|')} | ` +
+      `${f.screenshot ? `![](${rel(f.screenshot)})` : '—'} | ${rel(f.trace)} |`),
+    '',
+    'Abrir un trace: `npx playwright show-trace <archivo>.trace.zip`',
+    '',
+  ];
+  const reportPath = join(failureDir, 'report.md');
+  writeFileSync(reportPath, lines.join('\n'), 'utf8');
+  return reportPath;
+}
+
+// ─── Output profiles ───────────────────────────────────────────
+// Aspect presets for social/mobile distribution. A profile only sets the
+// resolution; slide-renderer picks stacked layouts from the aspect ratio.
+const VIDEO_PROFILES = {
+  '16:9': { name: 'landscape', resolution: { width: 1920, height: 1080 } },
+  '9:16': { name: 'portrait', resolution: { width: 1080, height: 1920 } },
+  '1:1': { name: 'square', resolution: { width: 1080, height: 1080 } },
+};
+const PROFILE_ALIASES = { landscape: '16:9', portrait: '9:16', vertical: '9:16', square: '1:1' };
+
+/**
+ * Expand `video.profile` / `video.profiles` into concrete
+ * { aspect, resolution, output } entries. Without either, the configured
+ * resolution and output are used as-is.
+ */
+function resolveProfiles(videoCfg, baseOutput) {
+  const list = videoCfg.profiles || (videoCfg.profile ? [videoCfg.profile] : null);
+  if (!list || list.length === 0) {
+    return [{ aspect: null, resolution: videoCfg.resolution || { width: 1920, height: 1080 }, output: baseOutput }];
+  }
+
+  const multi = list.length > 1;
+  return list.map((entry) => {
+    const spec = typeof entry === 'string' ? { aspect: entry } : entry;
+    const aspect = PROFILE_ALIASES[spec.aspect] || spec.aspect;
+    const preset = VIDEO_PROFILES[aspect];
+    if (!preset && !spec.resolution) {
+      throw new Error(`Perfil de video desconocido "${spec.aspect}". Usar ${Object.keys(VIDEO_PROFILES).join(' | ')} o { resolution }`);
+    }
+    // Landscape keeps the plain file name; other aspects get a suffix
+    const suffix = multi && aspect !== '16:9' ? `-${String(aspect).replace(':', 'x')}` : '';
+    return {
+      aspect,
+      resolution: spec.resolution || preset.resolution,
+      output: spec.output || baseOutput.replace(/(\.mp4)?$/i, `${suffix}.mp4`),
+    };
+  });
+}
+
 // ─── Main export ───────────────────────────────────────────────
+/**
+ * Export the tutorial to MP4 — once per configured profile.
+ *
+ * @param {object} config  Resolved config from cli.mjs
+ * @returns {Promise<string|string[]|null>}  Output path, or one per profile
+ *                                           when `video.profiles` lists several
+ */
 export async function exportTutorialToVideo(config) {
   const videoCfg = config.video || {};
-  const output = videoCfg.output || config.output.replace(/\.pdf$/i, '.mp4');
-  const resolution = videoCfg.resolution || { width: 1920, height: 1080 };
+  const baseOutput = videoCfg.output || config.output.replace(/\.pdf$/i, '.mp4');
+  const profiles = resolveProfiles(videoCfg, baseOutput);
+  const caches = [];
+
+  if (profiles.length === 1) {
+    const [p] = profiles;
+    const out = await exportVideoProfile({ ...config, video: { ...videoCfg, resolution: p.resolution, output: p.output } }, caches);
+    if (out) pruneClipCaches(caches);
+    return out;
+  }
+
+  console.log(`\n  🎞️  Perfiles: ${profiles.map((p) => p.aspect).join(', ')}`);
+  const outputs = [];
+  for (const p of profiles) {
+    const out = await exportVideoProfile({ ...config, video: { ...videoCfg, resolution: p.resolution, output: p.output } }, caches);
+    if (out) outputs.push(out);
+  }
+  // A failed profile never saw all its keys — keep the cache intact
+  if (outputs.length === profiles.length) pruneClipCaches(caches);
+  return outputs;
+}
+
+/**
+ * Prune each cache directory once, after every profile has run, keeping
+ * the keys any profile used (profiles may share `video.cacheDir`).
+ *
+ * @param {object[]} caches  openClipCache() handles, one per profile
+ */
+function pruneClipCaches(caches) {
+  const byDir = new Map();
+  for (const cache of caches) {
+    const group = byDir.get(cache.dir);
+    if (group) {
+      for (const key of cache.used) group.keep.add(key);
+    } else {
+      byDir.set(cache.dir, { cache, keep: new Set(cache.used) });
+    }
+  }
+  for (const { cache, keep } of byDir.values()) {
+    const pruned = cache.prune(keep);
+    if (pruned > 0) console.log(`  Caché: ${pruned} clips obsoletos eliminados (${cache.dir})`);
+  }
+}
+
+/**
+ * Export one profile. The clip cache it opens is pushed to `caches` so
+ * the caller can prune after all profiles.
+ */
+async function exportVideoProfile(config, caches = []) {
+  const videoCfg = config.video;
+  const output = videoCfg.output;
+  const resolution = videoCfg.resolution;
   const fps = videoCfg.fps || 30;
   const mode = videoCfg.mode || 'slides-only';
+  const transitionDefaults = {
+    transition: videoCfg.transition || 'cut',
+    transitionDuration: videoCfg.transitionDuration ?? 0.5,
+  };
 
   console.log('\n========================================');
   console.log('  Exportando Tutorial a Video');
@@ -152,6 +892,8 @@ export async function exportTutorialToVideo(config) {
   console.log(`  Resolución: ${resolution.width}×${resolution.height}`);
   console.log(`  FPS: ${fps}`);
   console.log(`  Modo: ${mode}`);
+  console.log(`  Transición: ${transitionDefaults.transition}` +
+    (transitionDefaults.transition !== 'cut' ? ` (${transitionDefaults.transitionDuration}s)` : ''));
 
   // ── Determine scenes ─────────────────────────────────────────
   let scenes = null;
@@ -160,8 +902,10 @@ export async function exportTutorialToVideo(config) {
     const scenesPath = resolve(dirname(config._configPath || '.'), videoCfg.scenes);
     console.log(`  Escenas: ${scenesPath}`);
     try {
-      const mod = await import(pathToFileURL(scenesPath).href);
-      scenes = mod.scenes || mod.default;
+      scenes = await loadScenes(scenesPath, {
+        appUrl: videoCfg.appUrl || 'http://localhost:5173',
+        cursor: videoCfg.cursor || {},
+      });
     } catch (err) {
       console.error(`  ❌ Error cargando escenas: ${err.message}`);
       return null;
@@ -177,185 +921,366 @@ export async function exportTutorialToVideo(config) {
     return null;
   }
 
+  const overlay = resolveOverlay(videoCfg.overlay, resolution, dirname(config._configPath || '.'));
+  if (overlay) console.log(`  Overlay: ${overlay.kind} (${basename(overlay.source)}), ${overlay.position}, ${overlay.width}px`);
+
   // Temp directory
   const tmpDir = join(dirname(output), '.tutorial-video-tmp');
   if (existsSync(tmpDir)) rmSync(tmpDir, { recursive: true });
   mkdirSync(tmpDir, { recursive: true });
 
+  // Persistent clip cache (survives tmpDir cleanup)
+  const cache = videoCfg.cache === false ? null : openClipCache(
+    videoCfg.cacheDir || join(dirname(output), '.tutorial-video-cache', basename(output, extname(output)))
+  );
+  if (cache) caches.push(cache);
+
   // Load theme CSS
   const css = await loadVideoThemeCSS(videoCfg.theme || config.theme);
   // Load cursor overlay
-  const injectCursor = await loadCursorOverlay();
+  const cursorMod = await loadCursorOverlay();
+  const injectCursor = cursorMod?.injectCursorOverlay || null;
 
   const ffmpeg = await getFFmpegPath();
-  const clipPaths = [];
+  // The piper voice model is relative to the config file, like every other path
+  const narrCfg = videoCfg.narration?.model
+    ? { ...videoCfg.narration, model: resolve(dirname(config._configPath || '.'), videoCfg.narration.model) }
+    : videoCfg.narration;
+  const anim = resolveAnimation(videoCfg.animation, fps);
+  const captionsCfg = videoCfg.captions && videoCfg.captions.enabled !== false ? videoCfg.captions : null;
+  const captionSource = captionsCfg?.source || 'auto';
+  if (anim) console.log(`  Animación: ${anim.revealDuration}s, ${anim.easing}, ${anim.frameRate} fps de reveal`);
+  const clips = [];
   const startTime = Date.now();
 
   if (mode === 'hybrid' && scenes) {
     // ── HYBRID MODE ────────────────────────────────────────────
+    const voices = await prepareNarration(scenes, narrCfg, tmpDir);
+    const failureDir = videoCfg.recording?.failureDir
+      || join(dirname(output), `${basename(output, extname(output))}.failures`);
+    clearFailureArtifacts(failureDir, scenes);
+    const failures = [];
     console.log('  Lanzando Playwright...');
-    const browser = await chromium.launch({ headless: true });
+    const appUrl = videoCfg.appUrl || 'http://localhost:5173';
+    const configDir = dirname(config._configPath || '.');
+    const recordings = scenes.filter((s) => s.type === 'recording');
 
-    for (let i = 0; i < scenes.length; i++) {
-      const scene = scenes[i];
-      const clipIdx = String(i).padStart(3, '0');
-      const elapsed = ((Date.now() - startTime) / 1000).toFixed(0);
+    // Spawn the dev server for the recordings (video.startCommand)
+    const serverOpts = recordings.length > 0 ? appServerOptions({ appUrl, ...videoCfg }, configDir) : null;
+    const app = serverOpts ? await startApp(serverOpts) : null;
 
-      if (scene.type === 'slide') {
-        // ── Slide scene ────────────────────────────────────────
-        const label = scene.slideType === 'cover' ? 'Portada'
-          : scene.slideType === 'closing' ? 'Cierre'
-          : scene.title || scene.slideType;
-        process.stdout.write(`\r  📸 [${i + 1}/${scenes.length}] Slide: ${label}  (${elapsed}s)                `);
+    // Chromium and the dev server must go down on any error — including a
+    // failed launch or sign-in — not just the recording failures handled below
+    let browser = null;
+    let auth = null;
+    try {
+      browser = await chromium.launch({ headless: true });
+      auth = resolveAuth(config.auth, configDir);
 
-        const slideData = buildSlideForScene(scene, config);
-        const html = renderSlideHTML(slideData, 1.0, css, resolution);
+      // Sign in once per role; every recording context reuses the session
+      if (auth && recordings.length > 0) {
+        await prepareAuth(browser, auth, rolesFor(auth, recordings), { appUrl, viewport: resolution });
+      }
 
-        const ctx = await browser.newContext({
-          viewport: { width: resolution.width, height: resolution.height },
-          deviceScaleFactor: 1,
-        });
-        const page = await ctx.newPage();
-        await page.setContent(html, { waitUntil: 'domcontentloaded' });
-        if (i === 0) await page.waitForTimeout(500);
-
-        const imgPath = join(tmpDir, `scene-${clipIdx}.png`);
-        await page.screenshot({ path: imgPath, type: 'png' });
-        await ctx.close();
-
-        const clipPath = join(tmpDir, `clip-${clipIdx}.mp4`);
-        await imageToClip(ffmpeg, imgPath, scene.duration || 4, fps, resolution, clipPath);
-        clipPaths.push(clipPath);
-
-      } else if (scene.type === 'recording' && scene.actions) {
-        // ── Recording scene ────────────────────────────────────
-        const label = scene.name || scene.description || `rec-${i}`;
-        process.stdout.write(`\r  🎬 [${i + 1}/${scenes.length}] Grabando: ${label}  (${elapsed}s)                `);
-
-        const recDir = join(tmpDir, `rec-${clipIdx}`);
-        mkdirSync(recDir, { recursive: true });
-
-        const ctx = await browser.newContext({
-          viewport: { width: resolution.width, height: resolution.height },
-          recordVideo: {
-            dir: recDir,
-            size: { width: resolution.width, height: resolution.height },
-          },
-        });
-        const page = await ctx.newPage();
+      for (let i = 0; i < scenes.length; i++) {
+        const scene = scenes[i];
+        const clipIdx = String(i).padStart(3, '0');
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(0);
+
+        if (scene.type === 'slide') {
+          // ── Slide scene ────────────────────────────────────────
+          const label = scene.slideType === 'cover' ? 'Portada'
+            : scene.slideType === 'closing' ? 'Cierre'
+            : scene.title || scene.slideType;
+          process.stdout.write(`\r  📸 [${i + 1}/${scenes.length}] Slide: ${label}  (${elapsed}s)                `);
 
-        // Navigate to app
-        const appUrl = videoCfg.appUrl || 'http://localhost:5173';
-        await page.goto(appUrl, { waitUntil: 'networkidle', timeout: 20000 }).catch(() => {});
-        await page.waitForTimeout(1000);
+          const slideData = buildSlideForScene(scene, config);
+          const voice = voices?.[i] || null;
+          const duration = fitDuration(scene.duration || 4, voice, narrCfg);
 
-        // Inject cursor overlay
-        if (injectCursor) {
-          await injectCursor(page);
-          page.on('load', async () => {
-            try { await injectCursor(page); } catch { /* page closed */ }
+          const ctx = await browser.newContext({
+            viewport: { width: resolution.width, height: resolution.height },
+            deviceScaleFactor: 1,
           });
-        }
+          const page = await ctx.newPage();
+          if (i === 0) {
+            await page.setContent(renderSlideHTML(slideData, 1.0, css, resolution), { waitUntil: 'domcontentloaded' });
+            await page.waitForTimeout(500);
+          }
 
-        // Execute scene actions
-        try {
-          await scene.actions(page);
-        } catch (err) {
-          console.warn(`\n  ⚠️  Error en "${label}": ${err.message}`);
-        }
+          const clipPath = await cachedSlideClip(cache, page, slideData, {
+            css, resolution, fps, ffmpeg,
+            anim: scene.animate === false ? null : anim,
+            workDir: tmpDir,
+            name: `scene-${clipIdx}`,
+            duration,
+            outPath: join(tmpDir, `clip-${clipIdx}.mp4`),
+          });
+          await ctx.close();
 
-        // Finalize recording
-        const video = page.video();
-        await ctx.close();
+          clips.push({
+            path: clipPath,
+            duration,
+            transition: scene.transition,
+            transitionDuration: scene.transitionDuration,
+            narration: voice,
+            caption: captionText(scene, captionSource),
+            chapter: sceneChapter(scene),
+            overlay: overlay ? overlayVisible(overlay, scene.slideType, scene.overlay) : false,
+          });
 
-        // Find recorded file
-        let recordedPath = null;
-        if (video) {
-          try {
-            recordedPath = await video.path();
-          } catch { /* ignore */ }
-        }
-        if (!recordedPath || !existsSync(recordedPath)) {
-          // Fallback: look in recDir
-          const files = readdirSync(recDir).filter(f => f.endsWith('.webm'));
-          if (files.length > 0) recordedPath = join(recDir, files[0]);
-        }
+        } else if (scene.type === 'recording' && scene.actions) {
+          // ── Recording scene ────────────────────────────────────
+          const label = scene.name || scene.description || `rec-${i}`;
+          process.stdout.write(`\r  🎬 [${i + 1}/${scenes.length}] Grabando: ${label}  (${elapsed}s)                `);
+
+          const recDir = join(tmpDir, `rec-${clipIdx}`);
+          const rec = resolveRecordingOptions(videoCfg, scene);
+          const zoomCfg = scene.zoom === false ? null
+            : (scene.zoom || videoCfg.zoom) ? { ...videoCfg.zoom, ...(typeof scene.zoom === 'object' ? scene.zoom : {}) }
+            : null;
+          const failurePrefix = failurePrefixFor(failureDir, scene, i);
 
-        if (recordedPath && existsSync(recordedPath)) {
-          const clipPath = join(tmpDir, `clip-${clipIdx}.mp4`);
+          let recording = null;
+          let lastError = null;
+          for (let attempt = 1; attempt <= rec.retries + 1 && !recording; attempt++) {
+            try {
+              recording = await recordScene(browser, scene, {
+                resolution, rec, recDir, failurePrefix, cursorMod, injectCursor, appUrl, auth,
+                cursorCfg: videoCfg.cursor || {},
+                zoomCfg: zoomCfg && zoomCfg.enabled !== false ? zoomCfg : null,
+              });
+            } catch (err) {
+              lastError = err;
+              console.warn(`\n  ⚠️  Error en "${label}" (intento ${attempt}/${rec.retries + 1}): ${err.message}`);
+            }
+          }
+
+          if (!recording) {
+            failures.push({ index: i, label, attempts: rec.retries + 1, error: lastError.message,
+              screenshot: lastError.screenshot || null, trace: lastError.trace || null });
+            const report = writeFailureReport(failureDir, failures);
+            if (rec.strict) {
+              throw new Error(`Grabación fallida en "${label}": ${lastError.message}\n  Reporte: ${report}`);
+            }
+            console.warn(`  ⏭️  Escena omitida del video: "${label}" (reporte: ${report})`);
+            continue;
+          }
+          // Succeeded after a retry: drop the artifacts of the failed attempts
+          rmSync(`${failurePrefix}.png`, { force: true });
+          rmSync(`${failurePrefix}.trace.zip`, { force: true });
+
+          const { videoPath: recordedPath, clicks } = recording;
+
+          let clipPath = join(tmpDir, `clip-${clipIdx}.mp4`);
           await normalizeClip(ffmpeg, recordedPath, fps, resolution, clipPath);
-          clipPaths.push(clipPath);
-        } else {
-          console.warn(`\n  ⚠️  No video para "${label}"`);
+
+          const zoomFilter = clicks.length > 0 ? buildZoomFilter(clicks, resolution, fps, zoomCfg) : null;
+          if (zoomFilter) {
+            const zoomedPath = join(tmpDir, `clip-${clipIdx}-zoom.mp4`);
+            await zoomClip(ffmpeg, clipPath, zoomFilter, zoomedPath);
+            clipPath = zoomedPath;
+          }
+
+          let duration = await probeDuration(ffmpeg, clipPath);
+
+          // Hold the last frame if the narration outlasts the recording
+          const voice = voices?.[i] || null;
+          const needed = fitDuration(duration, voice, narrCfg);
+          if (needed > duration + 0.05) {
+            const paddedPath = join(tmpDir, `clip-${clipIdx}-padded.mp4`);
+            await padClip(ffmpeg, clipPath, needed - duration, fps, paddedPath);
+            clipPath = paddedPath;
+            duration = needed;
+          }
+
+          clips.push({
+            path: clipPath,
+            duration,
+            transition: scene.transition,
+            transitionDuration: scene.transitionDuration,
+            narration: voice,
+            caption: captionText(scene, captionSource),
+            chapter: sceneChapter(scene),
+            overlay: overlay ? overlayVisible(overlay, null, scene.overlay) : false,
+          });
         }
       }
+    } catch (err) {
+      rmSync(tmpDir, { recursive: true, force: true });
+      throw err;
+    } finally {
+      await browser?.close();
+      await app?.stop();
     }
 
     const buildTime = ((Date.now() - startTime) / 1000).toFixed(1);
-    process.stdout.write(`\r  ✅ ${clipPaths.length} clips generados (${buildTime}s)                                    \n`);
-    await browser.close();
+    process.stdout.write(`\r  ✅ ${clips.length} clips generados (${buildTime}s)                                    \n`);
+    if (failures.length > 0) {
+      console.warn(`  ⚠️  ${failures.length} escena(s) fallida(s) omitida(s) — ver ${join(failureDir, 'report.md')}`);
+    } else {
+      clearFailureArtifacts(failureDir, scenes);
+    }
 
   } else {
     // ── SLIDES-ONLY MODE ───────────────────────────────────────
-    console.log('  Estrategia: screenshot + FFmpeg (slides-only)');
+    console.log('  Estrategia: screenshot + FFmpeg en paralelo (slides-only)');
     console.log('  Parseando Markdown...');
     const slides = buildSlides(config);
     console.log(`  Slides: ${slides.length}`);
 
+    const voices = await prepareNarration(slides, narrCfg, tmpDir);
+    if (voices) {
+      slides.forEach((slide, i) => {
+        slide.duration = fitDuration(slide.duration, voices[i], narrCfg);
+      });
+    }
+
+    const concurrency = Math.max(1, videoCfg.concurrency || cpus().length);
+    console.log(`  Concurrencia: ${concurrency}`);
+
     const browser = await chromium.launch({ headless: true });
-    const ctx = await browser.newContext({
-      viewport: { width: resolution.width, height: resolution.height },
-      deviceScaleFactor: 1,
-    });
-    const page = await ctx.newPage();
+    try {
+      const ctx = await browser.newContext({
+        viewport: { width: resolution.width, height: resolution.height },
+        deviceScaleFactor: 1,
+      });
+      const pages = [];
+      for (let p = 0; p < Math.min(concurrency, slides.length); p++) {
+        const page = await ctx.newPage();
+        // Warm-up: let fonts settle before the first capture on this page
+        await page.setContent(renderSlideHTML(slides[0], 1.0, css, resolution), { waitUntil: 'domcontentloaded' });
+        await page.waitForTimeout(300);
+        pages.push(page);
+      }
 
-    for (let i = 0; i < slides.length; i++) {
-      const slide = slides[i];
-      const clipIdx = String(i).padStart(3, '0');
-      const imgPath = join(tmpDir, `slide-${clipIdx}.png`);
+      let done = 0;
+      const slideClips = await runPool(slides, pages.length, async (slide, i, slot) => {
+        const clipIdx = String(i).padStart(3, '0');
+        const clipPath = await cachedSlideClip(cache, pages[slot], slide, {
+          css, resolution, fps, ffmpeg, anim,
+          workDir: tmpDir,
+          name: `slide-${clipIdx}`,
+          duration: slide.duration,
+          outPath: join(tmpDir, `clip-${clipIdx}.mp4`),
+        });
 
-      const html = renderSlideHTML(slide, 1.0, css, resolution);
-      await page.setContent(html, { waitUntil: 'domcontentloaded' });
-      if (i === 0) await page.waitForTimeout(300);
-      await page.screenshot({ path: imgPath, type: 'png' });
+        done++;
+        process.stdout.write(`\r  📸 Slides: ${Math.round((done / slides.length) * 100)}% (${done}/${slides.length})   `);
 
-      const clipPath = join(tmpDir, `clip-${clipIdx}.mp4`);
-      await imageToClip(ffmpeg, imgPath, slide.duration, fps, resolution, clipPath);
-      clipPaths.push(clipPath);
+        return {
+          path: clipPath,
+          duration: slide.duration,
+          narration: voices?.[i] || null,
+          caption: captionText(slide, captionSource),
+          chapter: slide.type === 'section-title' ? slide.title : null,
+          overlay: overlay ? overlayVisible(overlay, slide.type) : false,
+        };
+      });
+      clips.push(...slideClips);
 
-      process.stdout.write(`\r  📸 Slides: ${Math.round(((i + 1) / slides.length) * 100)}% (${i + 1}/${slides.length})   `);
+      process.stdout.write(`\r  📸 ${clips.length} clips (${((Date.now() - startTime) / 1000).toFixed(1)}s)                 \n`);
+      if (cache) console.log(`  Caché: ${cache.stats.hits} reutilizados, ${cache.stats.misses} renderizados`);
+    } finally {
+      await browser.close();
     }
-    process.stdout.write(`\r  📸 ${clipPaths.length} clips (${((Date.now() - startTime) / 1000).toFixed(1)}s)                 \n`);
-    await ctx.close();
-    await browser.close();
   }
 
-  // ── Concatenate all clips ────────────────────────────────────
-  if (clipPaths.length === 0) {
+  // ── Join all clips ───────────────────────────────────────────
+  if (clips.length === 0) {
     console.error('  ❌ No clips generated');
     rmSync(tmpDir, { recursive: true });
     return null;
   }
 
-  console.log(`  Concatenando ${clipPaths.length} clips...`);
+  const timeline = planTimeline(clips, transitionDefaults);
+  const transitionCount = timeline.clips.filter(c => c.transition !== 'cut').length;
+  console.log(`  Uniendo ${clips.length} clips` +
+    (transitionCount ? ` (${transitionCount} transiciones, ${timeline.total.toFixed(1)}s)...` : '...'));
 
-  const concatFile = join(tmpDir, 'concat.txt');
-  writeFileSync(concatFile,
-    clipPaths.map(p => `file '${p.replace(/\\/g, '/')}'`).join('\n'),
-    'utf8'
-  );
+  const concatOut = join(tmpDir, 'joined.mp4');
+  await joinClips(ffmpeg, timeline, fps, tmpDir, concatOut);
 
-  const concatOut = join(tmpDir, 'final.mp4');
-  await runFFmpeg([
-    ffmpeg, '-y',
-    '-f', 'concat', '-safe', '0',
-    '-i', concatFile,
-    '-c', 'copy',
-    '-movflags', '+faststart',
-    concatOut,
-  ], 'concat');
+  // ── Overlay ──────────────────────────────────────────────────
+  let videoOut = concatOut;
+  if (overlay && timeline.clips.some((c) => c.overlay)) {
+    console.log('  Aplicando overlay...');
+    videoOut = join(tmpDir, 'overlay.mp4');
+    await applyOverlay(ffmpeg, concatOut, overlay, timeline, fps, videoOut);
+  }
+
+  // ── Captions ─────────────────────────────────────────────────
+  if (captionsCfg) {
+    const cues = buildCaptionCues(timeline, {
+      maxChars: captionsCfg.maxChars,
+      leadIn: narrCfg?.leadIn,
+    });
+    const captionBase = output.replace(/\.mp4$/i, '');
+    const files = writeCaptionFiles(cues, captionBase);
+    console.log(`  Subtítulos: ${cues.length} cues → ${files.srt}, ${files.vtt}`);
+
+    if (captionsCfg.burn && cues.length > 0) {
+      console.log('  Incrustando subtítulos...');
+      const captioned = join(tmpDir, 'captioned.mp4');
+      await burnCaptions(ffmpeg, videoOut, files.srt, captionsCfg.style, fps, captioned);
+      videoOut = captioned;
+    }
+  }
+
+  // ── Audio bed ────────────────────────────────────────────────
+  let finalOut = videoOut;
+  const music = videoCfg.backgroundMusic && existsSync(videoCfg.backgroundMusic)
+    ? videoCfg.backgroundMusic : null;
+  let narration = videoCfg.narrationTrack && existsSync(videoCfg.narrationTrack)
+    ? videoCfg.narrationTrack : null;
+
+  if (videoCfg.backgroundMusic && !music) {
+    console.warn(`  ⚠️  Música no encontrada: ${videoCfg.backgroundMusic}`);
+  }
+  if (videoCfg.narrationTrack && !narration) {
+    console.warn(`  ⚠️  Narración no encontrada: ${videoCfg.narrationTrack}`);
+  }
+
+  if (timeline.clips.some((c) => c.narration)) {
+    if (narration) console.warn('  ⚠️  Narración TTS activa: se ignora video.narrationTrack');
+    console.log('  Montando pista de narración...');
+    narration = join(tmpDir, 'narration.wav');
+    await buildNarrationTrack(ffmpeg, timeline, narrCfg, narration);
+  }
+
+  if (music || narration) {
+    const parts = [music && 'música', narration && 'narración'].filter(Boolean).join(' + ');
+    const ducked = music && narration && videoCfg.musicDucking !== false;
+    console.log(`  Mezclando audio (${parts}${ducked ? ', ducking' : ''})...`);
+    finalOut = join(tmpDir, 'final.mp4');
+    await mixAudio(ffmpeg, videoOut, timeline.total, {
+      music,
+      volume: videoCfg.musicVolume,
+      fadeIn: videoCfg.musicFadeIn,
+      fadeOut: videoCfg.musicFadeOut,
+      ducking: videoCfg.musicDucking,
+      narration,
+    }, finalOut);
+  }
+
+  // ── Chapters ─────────────────────────────────────────────────
+  if (videoCfg.chapters !== false) {
+    const chapters = buildChapters(timeline, { introTitle: videoCfg.chaptersIntroTitle });
+    if (chapters.length > 0) {
+      const files = writeChapterFiles(
+        chapters,
+        config.cover?.title?.replace(/\n/g, ' '),
+        join(tmpDir, 'chapters.ffmeta'),
+        output.replace(/\.mp4$/i, '') + '.chapters.txt'
+      );
+      console.log(`  Capítulos: ${chapters.length} → ${files.list}`);
+      const chapteredOut = join(tmpDir, 'chaptered.mp4');
+      await applyChapters(ffmpeg, finalOut, files.metadata, chapteredOut);
+      finalOut = chapteredOut;
+    }
+  }
 
-  copyFileSync(concatOut, output);
+  copyFileSync(finalOut, output);
 
   // ── Cleanup ──────────────────────────────────────────────────
   console.log('  Limpiando archivos temporales...');
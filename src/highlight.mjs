@@ -0,0 +1,299 @@
+/**
+ * ============================================================
+ *  highlight.mjs — Syntax highlighting for fenced code blocks
+ *  replicant-2049
+ * ============================================================
+ *
+ *  ```ts / ```bash blocks are tokenized with highlight.js and
+ *  colored from a palette the theme exports as CODE_PALETTE
+ *  (config.code.palette overrides single colors). The same
+ *  palette drives the CSS of the PDF / HTML exports and the
+ *  run colors of the DOCX export.
+ *
+ *  The fence info string carries per-block options:
+ *
+ *    ```ts title="app.ts" lineNumbers
+ *    ```bash lineNumbers=false
+ *
+ *  Config (top level):
+ *    code: {
+ *      highlight: true,       // false → monochrome blocks
+ *      lineNumbers: false,    // default for blocks without the flag
+ *      palette: { keyword: '#7c3aed' },
+ *    }
+ *
+ *  Blocks without a language, or with one highlight.js does
+ *  not know, are printed plain.
+ *
+ * ============================================================
+ */
+
+import { existsSync } from 'fs';
+import { join, resolve, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import hljs from 'highlight.js';
+
+/** Light palette for themes that don't export CODE_PALETTE. */
+export const DEFAULT_PALETTE = {
+  background: '#f6f8fa',
+  foreground: '#24292f',
+  border: '#d0d7de',
+  keyword: '#cf222e',
+  string: '#0a3069',
+  number: '#0550ae',
+  comment: '#6e7781',
+  function: '#8250df',
+  type: '#953800',
+  variable: '#0550ae',
+  meta: '#116329',
+  tag: '#116329',
+  addition: '#116329',
+  deletion: '#82071e',
+  lineNumber: '#8c959f',
+  captionBackground: '#eaeef2',
+  captionForeground: '#57606a',
+};
+
+// highlight.js scope → palette role (dotted scopes fall back to their prefix)
+const SCOPE_ROLES = {
+  keyword: 'keyword',
+  doctag: 'keyword',
+  'variable.language': 'keyword',
+  built_in: 'type',
+  type: 'type',
+  class: 'type',
+  'title.class': 'type',
+  'title.class.inherited': 'type',
+  title: 'function',
+  'title.function': 'function',
+  section: 'function',
+  string: 'string',
+  regexp: 'string',
+  symbol: 'string',
+  'template-tag': 'string',
+  'char.escape': 'string',
+  link: 'string',
+  number: 'number',
+  literal: 'number',
+  comment: 'comment',
+  quote: 'comment',
+  attr: 'variable',
+  attribute: 'variable',
+  property: 'variable',
+  variable: 'variable',
+  'template-variable': 'variable',
+  meta: 'meta',
+  tag: 'tag',
+  name: 'tag',
+  'selector-tag': 'tag',
+  'selector-id': 'tag',
+  'selector-class': 'tag',
+  addition: 'addition',
+  deletion: 'deletion',
+  subst: 'foreground',
+  params: 'foreground',
+};
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': "'" };
+
+function escapeHTML(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ─── Fence info ────────────────────────────────────────────────
+/**
+ * Split a fence info string: language first, then `key="value"`,
+ * `key=value` or bare `key` flags.
+ *
+ * @param {string} [info]  e.g. `ts title="app.ts" lineNumbers`
+ * @returns {{ lang: string, title: string|null, lineNumbers: boolean|null }}
+ *          lineNumbers is null when the block doesn't say
+ */
+export function parseCodeInfo(info) {
+  const text = (info || '').trim();
+  const lang = (text.match(/^[^\s{]+/)?.[0] || '').toLowerCase();
+  const attrs = {};
+  const re = /([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?/g;
+  let m;
+  while ((m = re.exec(text.slice(lang.length)))) {
+    attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? true;
+  }
+  const flag = attrs.linenumbers ?? attrs.showlinenumbers;
+  return {
+    lang,
+    title: typeof (attrs.title ?? attrs.filename) === 'string' ? (attrs.title ?? attrs.filename) : null,
+    lineNumbers: flag === undefined ? null : flag === true || !['false', 'no', '0'].includes(String(flag)),
+  };
+}
+
+// ─── Tokenize ──────────────────────────────────────────────────
+/** Turn `hljs-title function_` into the scope `title.function`. */
+function scopeOf(className) {
+  return className.split(/\s+/).map((c) => c.replace(/^hljs-/, '').replace(/_+$/, '')).join('.');
+}
+
+function roleOf(scope) {
+  for (let s = scope; s; s = s.includes('.') ? s.slice(0, s.lastIndexOf('.')) : '') {
+    if (SCOPE_ROLES[s]) return SCOPE_ROLES[s];
+  }
+  return null;
+}
+
+/**
+ * Highlight a block with highlight.js. Returns null when the
+ * language is missing or unknown.
+ */
+function highlightHTML(code, lang) {
+  if (!lang || !hljs.getLanguage(lang)) return null;
+  return hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+}
+
+/**
+ * Split highlighted HTML into lines, closing the spans still open
+ * at each line break and reopening them on the next line.
+ *
+ * @returns {Array<Array<{ text: string, classes: string[] }>>}  text is raw HTML
+ */
+function splitHighlighted(html) {
+  const lines = [[]];
+  const open = [];
+  for (const part of html.split(/(<span class="[^"]*">|<\/span>|\n)/)) {
+    if (!part) continue;
+    if (part === '\n') lines.push([]);
+    else if (part === '</span>') open.pop();
+    else if (part.startsWith('<span')) open.push(part.slice(13, -2));
+    else lines[lines.length - 1].push({ text: part, classes: [...open] });
+  }
+  return lines;
+}
+
+/**
+ * Tokenize a code block into colored runs per line (for DOCX).
+ *
+ * @param {string} code
+ * @param {string} lang
+ * @returns {Array<Array<{ text: string, role: string|null }>>}  role is a palette key
+ */
+export function codeTokens(code, lang) {
+  const html = highlightHTML(code, lang);
+  if (html == null) return code.split('\n').map((line) => (line ? [{ text: line, role: null }] : []));
+
+  return splitHighlighted(html).map((segments) => segments.map(({ text, classes }) => {
+    // Innermost scope with a role wins; unmapped scopes inherit from their parent
+    let role = null;
+    for (let i = classes.length - 1; i >= 0 && !role; i--) role = roleOf(scopeOf(classes[i]));
+    return { text: text.replace(/&(amp|lt|gt|quot|#x27);/g, (e) => ENTITIES[e]), role };
+  }));
+}
+
+// ─── HTML ──────────────────────────────────────────────────────
+/**
+ * Render a fenced code block as HTML (marked `code` renderer).
+ *
+ * @param {{ text: string, lang?: string }} token  marked code token
+ * @param {object} [codeCfg]  config.code
+ * @returns {string}
+ */
+export function renderCodeBlock({ text, lang: info }, codeCfg = {}) {
+  const { lang, title, lineNumbers } = parseCodeInfo(info);
+  const numbered = lineNumbers ?? !!codeCfg.lineNumbers;
+  const code = text.replace(/\n$/, '');
+  const html = (codeCfg.highlight !== false && highlightHTML(code, lang)) || escapeHTML(code);
+
+  let body = html;
+  if (numbered) {
+    body = splitHighlighted(html)
+      .map((segments) => {
+        const inner = segments
+          .map(({ text: t, classes }) => classes.reduceRight((acc, c) => `<span class="${c}">${acc}</span>`, t))
+          .join('');
+        return `<span class="code-line">${inner}</span>`;
+      })
+      .join('\n');
+  }
+
+  const langClass = lang ? ` language-${escapeHTML(lang)}` : '';
+  const pre = `<pre class="hljs${numbered ? ' line-numbers' : ''}"><code class="hljs${langClass}">${body}</code></pre>`;
+  if (!title) return `${pre}\n`;
+  return `<figure class="code-block">
+  <figcaption class="code-title">${escapeHTML(title)}</figcaption>
+  ${pre}
+</figure>\n`;
+}
+
+/**
+ * CSS for highlighted blocks, captions and line numbers from a palette.
+ *
+ * @param {object} palette  From resolveCodePalette()
+ * @returns {string}
+ */
+export function codeCSS(palette) {
+  const selector = (scope) => scope.split('.').map((p, i) => (i === 0 ? `.hljs-${p}` : `.${p}${'_'.repeat(i)}`)).join('');
+  const tokenRules = Object.entries(SCOPE_ROLES)
+    .filter(([, role]) => palette[role])
+    .map(([scope, role]) => `pre.hljs ${selector(scope)} { color: ${palette[role]}; }`)
+    .join('\n');
+
+  // :where() keeps block colors below any `pre` rule of the theme or host app
+  return `
+:where(pre.hljs) { background: ${palette.background}; color: ${palette.foreground}; }
+${tokenRules}
+pre.hljs .hljs-comment { font-style: italic; }
+pre.hljs .hljs-addition { background: color-mix(in srgb, ${palette.addition} 12%, transparent); }
+pre.hljs .hljs-deletion { background: color-mix(in srgb, ${palette.deletion} 12%, transparent); }
+pre.line-numbers code { counter-reset: code-line; }
+pre.line-numbers .code-line::before {
+  counter-increment: code-line;
+  content: counter(code-line);
+  display: inline-block;
+  width: 2.5em;
+  margin-right: 1em;
+  padding-right: 0.5em;
+  text-align: right;
+  color: ${palette.lineNumber};
+  border-right: 1px solid ${palette.border};
+  user-select: none;
+}
+.code-block { margin: 8px 0; page-break-inside: avoid; }
+.code-block pre.hljs { margin: 0; border-top-left-radius: 0; border-top-right-radius: 0; }
+.code-block .code-title {
+  background: ${palette.captionBackground};
+  color: ${palette.captionForeground};
+  font-family: 'Cascadia Code', 'Fira Code', 'Consolas', monospace;
+  font-size: 8.5pt;
+  padding: 4px 16px;
+  border: 1px solid ${palette.border};
+  border-bottom: none;
+  border-radius: 8px 8px 0 0;
+}
+@media print {
+  .code-block .code-title { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+}
+`;
+}
+
+// ─── Palette ───────────────────────────────────────────────────
+/**
+ * The code palette for a config: the theme's CODE_PALETTE (built-in
+ * name or .mjs path), DEFAULT_PALETTE otherwise, with config.code.palette
+ * merged on top.
+ *
+ * @param {object} config  Resolved config (theme, code)
+ * @returns {Promise<object>}
+ */
+export async function resolveCodePalette(config) {
+  const theme = config.theme || 'shadcn-dark';
+  let themePath = null;
+  if (theme.endsWith('.mjs')) themePath = resolve(theme);
+  else if (!theme.endsWith('.css')) {
+    const builtIn = join(dirname(fileURLToPath(import.meta.url)), 'themes', `${theme}.mjs`);
+    if (existsSync(builtIn)) themePath = builtIn;
+  }
+
+  let base = DEFAULT_PALETTE;
+  if (themePath && existsSync(themePath)) {
+    const mod = await import(pathToFileURL(themePath).href);
+    if (mod.CODE_PALETTE) base = { ...DEFAULT_PALETTE, ...mod.CODE_PALETTE };
+  }
+  return { ...base, ...(config.code?.palette || {}) };
+}
@@ -0,0 +1,210 @@
+/**
+ * ============================================================
+ *  narration.mjs — Offline text-to-speech for tutorial videos
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Synthesizes per-slide / per-scene narration with a local
+ *  TTS engine and reports each clip's audio length so the video
+ *  engine can stretch slides to fit what is being said.
+ *
+ *  Built-in engines:
+ *    espeak-ng  — `espeak-ng -v <voice> -s <speed> -w out.wav`
+ *    piper      — `piper --model <model> --output_file out.wav`
+ *
+ *  Custom engines: pass an object with
+ *    synthesize(text, outPath) → Promise<void>
+ *  as `video.narration.engine` in tutorial.config.js.
+ *
+ * ============================================================
+ */
+
+import { existsSync, mkdirSync, openSync, readSync, closeSync, statSync } from 'fs';
+import { join } from 'path';
+import { spawn } from 'child_process';
+
+// ─── Run a TTS process ─────────────────────────────────────────
+function runTTS(cmd, args, stdinText, label) {
+  return new Promise((res, rej) => {
+    const proc = spawn(cmd, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    proc.stderr.on('data', (d) => { stderr += d.toString(); });
+    proc.on('close', (code) => {
+      if (code === 0) res();
+      else rej(new Error(`${label} falló (código ${code}):\n${stderr.slice(-800)}`));
+    });
+    proc.on('error', (err) => {
+      rej(new Error(`${label} no encontrado. Instalalo o configurá video.narration.command\n${err.message}`));
+    });
+    if (stdinText != null) proc.stdin.write(stdinText);
+    proc.stdin.end();
+  });
+}
+
+// ─── Built-in engines ──────────────────────────────────────────
+const ENGINES = {
+  'espeak-ng': (cfg) => ({
+    name: 'espeak-ng',
+    synthesize: (text, outPath) => runTTS(cfg.command || 'espeak-ng', [
+      '-v', cfg.voice || 'es',
+      '-s', String(cfg.speed || 160),
+      '-w', outPath,
+      '--stdin',
+    ], text, 'espeak-ng'),
+  }),
+
+  piper: (cfg) => {
+    if (!cfg.model) throw new Error('piper requiere video.narration.model (ruta a la voz .onnx)');
+    const args = ['--model', cfg.model, '--output_file'];
+    return {
+      name: 'piper',
+      synthesize: (text, outPath) => runTTS(cfg.command || 'piper', [
+        ...args, outPath,
+        ...(cfg.speaker != null ? ['--speaker', String(cfg.speaker)] : []),
+        ...(cfg.lengthScale ? ['--length_scale', String(cfg.lengthScale)] : []),
+      ], text, 'piper'),
+    };
+  },
+};
+
+/**
+ * Resolve the configured TTS engine.
+ *
+ * @param {object} cfg  video.narration config
+ * @returns {{ name: string, synthesize: Function }}
+ */
+export function createTTSEngine(cfg = {}) {
+  const engine = cfg.engine || 'espeak-ng';
+  if (typeof engine === 'object' && typeof engine.synthesize === 'function') {
+    return { name: engine.name || 'custom', synthesize: engine.synthesize.bind(engine) };
+  }
+  const factory = ENGINES[engine];
+  if (!factory) {
+    throw new Error(`Motor TTS desconocido "${engine}". Usá ${Object.keys(ENGINES).join(' | ')} o uno propio con { synthesize }`);
+  }
+  return factory(cfg);
+}
+
+// ─── Text cleanup ──────────────────────────────────────────────
+/** Strip Markdown so the engine doesn't read symbols aloud. */
+export function cleanNarrationText(text) {
+  return (text || '')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/\*([^*]+)\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ─── Extract narration from Markdown ───────────────────────────
+const COMMENT_RE = /<!--\s*narra(?:tion|ción|cion)\s*:\s*([\s\S]*?)-->/gi;
+const QUOTE_RE = /^>\s*(?:🎙️?|\*\*Narraci[oó]n:?\*\*:?|Narraci[oó]n:|Narration:)\s*(.*)$/i;
+
+/**
+ * Pull narration text out of a subsection's Markdown.
+ * Accepts `<!-- narración: ... -->` comments (invisible in the PDF) and
+ * blockquotes starting with 🎙️ or "Narración:". Continuation lines of the
+ * same blockquote are joined.
+ *
+ * @param {string} md  Markdown under an H3
+ * @returns {{ narration: string, rest: string }}  narration text + Markdown without it
+ */
+export function extractNarration(md) {
+  const parts = [];
+  let rest = md.replace(COMMENT_RE, (_, body) => {
+    parts.push(body);
+    return '';
+  });
+
+  const lines = rest.split('\n');
+  const kept = [];
+  let inQuote = false;
+  for (const line of lines) {
+    const m = line.match(QUOTE_RE);
+    if (m) {
+      parts.push(m[1]);
+      inQuote = true;
+      continue;
+    }
+    if (inQuote && /^>/.test(line)) {
+      parts.push(line.replace(/^>\s?/, ''));
+      continue;
+    }
+    inQuote = false;
+    kept.push(line);
+  }
+  rest = kept.join('\n');
+
+  return { narration: cleanNarrationText(parts.join(' ')), rest };
+}
+
+// ─── WAV duration ──────────────────────────────────────────────
+/** Read a PCM WAV header and return its length in seconds. */
+export function wavDuration(path) {
+  const fd = openSync(path, 'r');
+  try {
+    const head = Buffer.alloc(12);
+    readSync(fd, head, 0, 12, 0);
+    if (head.toString('ascii', 0, 4) !== 'RIFF' || head.toString('ascii', 8, 12) !== 'WAVE') return 0;
+
+    let pos = 12;
+    let byteRate = 0;
+    const chunk = Buffer.alloc(8);
+    while (readSync(fd, chunk, 0, 8, pos) === 8) {
+      const id = chunk.toString('ascii', 0, 4);
+      let size = chunk.readUInt32LE(4);
+      if (id === 'fmt ') {
+        const fmt = Buffer.alloc(16);
+        readSync(fd, fmt, 0, 16, pos + 8);
+        byteRate = fmt.readUInt32LE(8);
+      } else if (id === 'data') {
+        // Streaming writers (espeak-ng --stdout, piper) may leave size unset
+        if (size === 0 || size === 0xffffffff) {
+          size = statSync(path).size - (pos + 8);
+        }
+        return byteRate ? size / byteRate : 0;
+      }
+      pos += 8 + size + (size % 2);
+    }
+    return 0;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// ─── Synthesize a batch ────────────────────────────────────────
+/**
+ * Synthesize narration for every item that has text.
+ *
+ * @param {Array<{ narration?: string }>} items  Slides or scenes
+ * @param {object} cfg     video.narration config
+ * @param {string} outDir  Where to write narration-NNN.wav
+ * @returns {Promise<Array<{ path: string, duration: number } | null>>}  aligned with items
+ */
+export async function synthesizeNarration(items, cfg, outDir) {
+  const engine = createTTSEngine(cfg);
+  mkdirSync(outDir, { recursive: true });
+
+  const results = [];
+  const total = items.filter((it) => it.narration).length;
+  let done = 0;
+
+  for (let i = 0; i < items.length; i++) {
+    const text = cleanNarrationText(items[i].narration);
+    if (!text) {
+      results.push(null);
+      continue;
+    }
+    const outPath = join(outDir, `narration-${String(i).padStart(3, '0')}.wav`);
+    await engine.synthesize(text, outPath);
+    if (!existsSync(outPath)) throw new Error(`${engine.name} no generó audio para el ítem ${i + 1}`);
+    results.push({ path: outPath, duration: wavDuration(outPath) });
+    done++;
+    process.stdout.write(`\r  🎙️  Narración (${engine.name}): ${done}/${total}   `);
+  }
+  if (total > 0) process.stdout.write('\n');
+
+  return results;
+}
@@ -0,0 +1,126 @@
+/**
+ * ============================================================
+ *  overlay.mjs — Presenter bubble / avatar / logo over videos
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Builds the FFmpeg inputs and filter that lay one overlay
+ *  track over the joined video:
+ *
+ *    video   looping presenter / webcam clip, cropped to a circle
+ *    avatar  static image, cropped to a circle
+ *    logo    watermark image, aspect kept, no mask
+ *
+ *  The overlay is switched on and off along the timeline with
+ *  `enable='between(t,a,b)+…'`: clips whose slide type is in
+ *  `hideOn` (cover and closing by default) or whose scene sets
+ *  `overlay: false` are left clean. Only the overlay's picture
+ *  is used — mix a presenter's voice in with narrationTrack.
+ *
+ * ============================================================
+ */
+
+import { existsSync } from 'fs';
+import { resolve, extname } from 'path';
+
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.webm', '.mkv', '.m4v', '.avi'];
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const DEFAULTS = {
+  video: { size: 0.18, shape: 'circle', opacity: 1 },
+  avatar: { size: 0.14, shape: 'circle', opacity: 1 },
+  logo: { size: 0.1, shape: 'none', opacity: 0.8 },
+};
+
+const num = (n) => Number(n).toFixed(3);
+
+/**
+ * Normalize `video.overlay`. Returns null when no overlay is configured.
+ *
+ * @param {object} cfg         video.overlay
+ * @param {object} resolution  { width, height } of the output video
+ * @param {string} baseDir     Directory `source` resolves against
+ */
+export function resolveOverlay(cfg, resolution, baseDir = process.cwd()) {
+  if (!cfg || cfg.enabled === false) return null;
+  if (!cfg.source) throw new Error('video.overlay: falta `source` (video, imagen de avatar o logo)');
+
+  const source = resolve(baseDir, cfg.source);
+  if (!existsSync(source)) throw new Error(`video.overlay: no existe ${source}`);
+
+  const kind = cfg.kind || (VIDEO_EXTENSIONS.includes(extname(source).toLowerCase()) ? 'video' : 'avatar');
+  if (!DEFAULTS[kind]) throw new Error(`video.overlay.kind inválido "${kind}" (usar video | avatar | logo)`);
+  const o = { ...DEFAULTS[kind], position: 'bottom-right', margin: 40, hideOn: ['cover', 'closing'], ...cfg, kind, source };
+
+  if (!CORNERS.includes(o.position)) {
+    throw new Error(`video.overlay.position inválido "${o.position}" (usar ${CORNERS.join(' | ')})`);
+  }
+  if (!['circle', 'none'].includes(o.shape)) throw new Error(`video.overlay.shape inválido "${o.shape}" (usar circle | none)`);
+  if (!(o.opacity > 0 && o.opacity <= 1)) throw new Error('video.overlay.opacity debe estar entre 0 y 1');
+
+  // size ≤ 1 is a fraction of the video width, otherwise pixels; even for yuv420p
+  const px = o.size <= 1 ? o.size * resolution.width : o.size;
+  o.width = Math.max(2, Math.round(px / 2) * 2);
+  return o;
+}
+
+/**
+ * Whether a clip shows the overlay: an explicit `overlay` flag on the
+ * scene wins, otherwise slides whose type is in `hideOn` stay clean.
+ *
+ * @param {object} overlay     From resolveOverlay()
+ * @param {string} [slideType] cover | section-title | content | callout | toc | closing
+ * @param {boolean} [flag]     scene.overlay
+ */
+export function overlayVisible(overlay, slideType, flag) {
+  if (typeof flag === 'boolean') return flag;
+  return !(slideType && overlay.hideOn.includes(slideType));
+}
+
+/** Merge the timeline ranges of visible clips into [start, end] windows. */
+export function overlayWindows(timeline) {
+  const windows = [];
+  for (const c of timeline.clips) {
+    if (c.overlay === false) continue;
+    const last = windows[windows.length - 1];
+    if (last && c.start <= last[1] + 0.001) last[1] = Math.max(last[1], c.end);
+    else windows.push([c.start, c.end]);
+  }
+  return windows;
+}
+
+/**
+ * FFmpeg inputs + filter_complex for the overlay (input 0 is the video).
+ *
+ * @param {object} overlay   From resolveOverlay()
+ * @param {Array<[number, number]>} windows  From overlayWindows()
+ * @param {object} opts      { fps, total } — total is the video length
+ * @returns {{ inputs: string[], filter: string }}
+ */
+export function buildOverlayFilter(overlay, windows, { fps, total }) {
+  const inputs = overlay.kind === 'video'
+    ? ['-stream_loop', '-1', '-i', overlay.source]
+    : ['-loop', '1', '-framerate', String(fps), '-i', overlay.source];
+
+  const W = overlay.width;
+  const chain = [];
+  if (overlay.shape === 'circle') {
+    chain.push("crop='min(iw,ih)':'min(iw,ih)'", `scale=${W}:${W}`, 'format=rgba');
+    chain.push("geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='if(lte(hypot(X-W/2+0.5,Y-H/2+0.5),W/2),alpha(X,Y),0)'");
+  } else {
+    chain.push(`scale=${W}:-2`, 'format=rgba');
+  }
+  if (overlay.opacity < 1) chain.push(`colorchannelmixer=aa=${overlay.opacity}`);
+  chain.push(`fps=${fps}`, `trim=0:${num(total)}`, 'setpts=PTS-STARTPTS');
+
+  const m = overlay.margin;
+  const x = overlay.position.endsWith('left') ? `${m}` : `main_w-overlay_w-${m}`;
+  const y = overlay.position.startsWith('top') ? `${m}` : `main_h-overlay_h-${m}`;
+  const enable = windows.map(([a, b]) => `between(t,${num(a)},${num(b)})`).join('+');
+
+  const filter = [
+    `[1:v]${chain.join(',')}[ov]`,
+    `[0:v][ov]overlay=x=${x}:y=${y}:eof_action=pass:enable='${enable}',format=yuv420p[vout]`,
+  ].join(';');
+  return { inputs, filter };
+}
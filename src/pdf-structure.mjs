@@ -0,0 +1,170 @@
+/**
+ * ============================================================
+ *  pdf-structure.mjs — Read back where headings landed in a PDF
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Chromium writes a named destination for every element that
+ *  an internal link (`<a href="#id">`) points to — the TOC
+ *  links already do, and export-pdf adds hidden links to every
+ *  H1–H4. From those destinations:
+ *
+ *    - a draft render gives the page each heading landed on,
+ *      printed next to its TOC entry
+ *    - the final PDF gets a bookmark tree (H1–H4) for the
+ *      viewer sidebar, plus Title / Author / Subject / Keywords
+ *
+ * ============================================================
+ */
+
+import { PDFDocument, PDFName, PDFDict, PDFArray, PDFRef, PDFNumber, PDFString, PDFHexString, PDFNull } from 'pdf-lib';
+
+/** Destination names are the element ids, UTF-8 encoded (Latin-1 as fallback). */
+function decodeName(key) {
+  const bytes = Buffer.from(key.asBytes());
+  let text = bytes.toString('utf8');
+  if (text.includes('\uFFFD')) text = bytes.toString('latin1');
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+/** Walk a /Names name tree (PDF 1.2+ destinations). */
+function walkNameTree(node, visit) {
+  const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      const key = names.lookup(i);
+      if (key instanceof PDFString || key instanceof PDFHexString) visit(key, names.lookup(i + 1));
+    }
+  }
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  if (kids) {
+    for (let i = 0; i < kids.size(); i++) walkNameTree(kids.lookup(i, PDFDict), visit);
+  }
+}
+
+/**
+ * Map every named destination of a PDF to its page.
+ *
+ * @param {Uint8Array|Buffer|PDFDocument} pdf
+ * @returns {Promise<Map<string, { page: number, y: number|null }>>}
+ *          page is 0-based; y is in PDF points from the bottom (when known)
+ */
+export async function readDestinations(pdf) {
+  const doc = pdf instanceof PDFDocument ? pdf : await PDFDocument.load(pdf, { updateMetadata: false });
+  const pageIndex = new Map(doc.getPages().map((p, i) => [p.ref.toString(), i]));
+  const found = new Map();
+
+  const add = (key, value) => {
+    let dest = value instanceof PDFRef ? doc.context.lookup(value) : value;
+    if (dest instanceof PDFDict) dest = dest.lookup(PDFName.of('D'));
+    if (!(dest instanceof PDFArray)) return;
+    const pageRef = dest.get(0);
+    if (!(pageRef instanceof PDFRef) || !pageIndex.has(pageRef.toString())) return;
+    const top = dest.size() > 3 ? dest.lookup(3) : null;
+    const name = decodeName(key);
+    if (!found.has(name)) {
+      found.set(name, { page: pageIndex.get(pageRef.toString()), y: top instanceof PDFNumber ? top.asNumber() : null });
+    }
+  };
+
+  // PDF 1.1: /Dests dictionary in the catalog (what Chromium writes)
+  const dests = doc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  if (dests) for (const [key, value] of dests.entries()) add(key, value);
+
+  // PDF 1.2+: /Names → /Dests name tree
+  const tree = doc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict)?.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  if (tree) walkNameTree(tree, add);
+
+  return found;
+}
+
+// ─── Outline ───────────────────────────────────────────────────
+/** Nest flat headings by level: H2 under the previous H1, and so on. */
+function nestHeadings(headings) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+  for (const h of headings) {
+    while (stack.length > 1 && stack[stack.length - 1].level >= h.level) stack.pop();
+    const node = { ...h, children: [] };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  }
+  return root.children;
+}
+
+/**
+ * Write the bookmark tree. Top-level entries start expanded, deeper
+ * ones collapsed, so a long document opens with a readable sidebar.
+ * Headings without a destination are skipped (their children move up).
+ */
+function addOutline(doc, headings, dests) {
+  const pages = doc.getPages();
+  const ctx = doc.context;
+  const placed = headings.filter((h) => dests.has(h.id));
+  if (placed.length === 0) return 0;
+
+  const write = (nodes, parentRef, depth) => {
+    const refs = nodes.map(() => ctx.nextRef());
+    let visible = 0;
+    nodes.forEach((node, i) => {
+      const { page, y } = dests.get(node.id);
+      const dict = ctx.obj({
+        Title: PDFHexString.fromText(node.text),
+        Parent: parentRef,
+        Dest: ctx.obj([pages[page].ref, PDFName.of('XYZ'), PDFNull, y == null ? PDFNull : PDFNumber.of(y), PDFNull]),
+      });
+      if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+      if (i < nodes.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+      if (node.children.length) {
+        const kids = write(node.children, refs[i], depth + 1);
+        dict.set(PDFName.of('First'), kids.first);
+        dict.set(PDFName.of('Last'), kids.last);
+        // Positive count = open with that many visible descendants; negative = closed
+        const open = depth === 0;
+        dict.set(PDFName.of('Count'), PDFNumber.of(open ? kids.visible : -node.children.length));
+        if (open) visible += kids.visible;
+      }
+      ctx.assign(refs[i], dict);
+      visible++;
+    });
+    return { first: refs[0], last: refs[refs.length - 1], visible };
+  };
+
+  const outlinesRef = ctx.nextRef();
+  const top = write(nestHeadings(placed), outlinesRef, 0);
+  ctx.assign(outlinesRef, ctx.obj({ Type: 'Outlines', First: top.first, Last: top.last, Count: top.visible }));
+  doc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  doc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+  return placed.length;
+}
+
+/**
+ * Add the bookmark tree and document properties to a rendered PDF.
+ *
+ * @param {Uint8Array|Buffer} bytes  PDF from page.pdf()
+ * @param {object} opts
+ * @param {Array<{ level: number, id: string, text: string }>} [opts.headings]  H1–H4 in document order
+ * @param {object} [opts.metadata]   { title, author, subject, keywords, creator }
+ * @returns {Promise<{ bytes: Uint8Array, bookmarks: number }>}
+ */
+export async function finalizePDF(bytes, opts = {}) {
+  const doc = await PDFDocument.load(bytes, { updateMetadata: false });
+  let bookmarks = 0;
+  if (opts.headings?.length) {
+    bookmarks = addOutline(doc, opts.headings, await readDestinations(doc));
+  }
+
+  const m = opts.metadata || {};
+  if (m.title) doc.setTitle(m.title, { showInWindowTitleBar: true });
+  if (m.author) doc.setAuthor(m.author);
+  if (m.subject) doc.setSubject(m.subject);
+  if (m.keywords?.length) doc.setKeywords(m.keywords);
+  if (m.creator) doc.setCreator(m.creator);
+  doc.setModificationDate(new Date());
+
+  return { bytes: await doc.save(), bookmarks };
+}
@@ -0,0 +1,496 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ *  record-scenes.mjs — Record a manual walkthrough as scenes
+ *  Replicant-2049
+ * ============================================================
+ *
+ *  Opens a headed browser on `video.appUrl` and records what
+ *  you do — clicks, typing, selects, Enter/Escape and page
+ *  navigations — as declarative hybrid-mode scenes (see
+ *  scene-dsl.mjs). Close the browser window (or Ctrl+C) to
+ *  stop and write the file.
+ *
+ *  While recording, Ctrl+Alt+N starts a new recording scene.
+ *
+ *  Targets are picked in order of robustness:
+ *    data-testid → ARIA role + accessible name → label →
+ *    placeholder → stable id / name attribute → text → CSS path
+ *  and disambiguated with `exact` / `nth` when needed.
+ *
+ *  Usage:
+ *    npx replicant record                          (uses ./tutorial.config.js)
+ *    npx replicant record --out scenes/alta.yaml --name "Alta de pago"
+ *    npx replicant record --url /pagos --append
+ *
+ * ============================================================
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { resolve, dirname, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { chromium } from 'playwright';
+import { Document, parse as parseYAML } from 'yaml';
+import { validateScenes } from './scene-dsl.mjs';
+import { resolveAuth, prepareAuth, authContextOptions, applyAuth } from './auth-session.mjs';
+import { appServerOptions, startApp } from './app-server.mjs';
+
+// ─── CLI Args ──────────────────────────────────────────────────
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    configPath: resolve(process.cwd(), 'tutorial.config.js'),
+    out: null,
+    url: null,
+    name: null,
+    role: null,
+    append: false,
+    force: false,
+    maxPause: 3,
+  };
+
+  // Skip 'record' command if present
+  const start = args[0] === 'record' ? 1 : 0;
+
+  for (let i = start; i < args.length; i++) {
+    if (args[i] === '--config' && args[i + 1]) {
+      opts.configPath = resolve(args[++i]);
+    } else if ((args[i] === '--out' || args[i] === '-o') && args[i + 1]) {
+      opts.out = resolve(args[++i]);
+    } else if (args[i] === '--url' && args[i + 1]) {
+      opts.url = args[++i];
+    } else if (args[i] === '--name' && args[i + 1]) {
+      opts.name = args[++i];
+    } else if (args[i] === '--role' && args[i + 1]) {
+      opts.role = args[++i];
+    } else if (args[i] === '--max-pause' && args[i + 1]) {
+      opts.maxPause = Number(args[++i]);
+    } else if (args[i] === '--append') {
+      opts.append = true;
+    } else if (args[i] === '--force') {
+      opts.force = true;
+    } else if (args[i] === '--help' || args[i] === '-h') {
+      printHelp();
+      process.exit(0);
+    }
+  }
+  return opts;
+}
+
+function printHelp() {
+  console.log(`
+  Uso: npx replicant record [opciones]
+
+    --config <path>    Config (default: ./tutorial.config.js)
+    --out, -o <path>   Archivo de escenas .yaml/.json (default: video.scenes o ./scenes.yaml)
+    --url <path|url>   Página inicial (default: video.appUrl)
+    --name <texto>     Nombre de la escena grabada
+    --role <rol>       Rol con el que se graba (requiere auth en la config)
+    --append           Agregar al final de un archivo de escenas existente
+    --force            Sobrescribir el archivo de escenas si existe
+    --max-pause <s>    Pausa máxima entre pasos, en segundos (default: 3)
+
+  Cerrá la ventana del navegador (o Ctrl+C) para terminar.
+  Ctrl+Alt+N inicia una nueva escena.
+  `);
+}
+
+// ─── In-page recorder ──────────────────────────────────────────
+// Runs in the app's pages; reports events through window.__replicantRecord.
+function recorderScript() {
+  if (window.__replicantRecorder) return;
+  window.__replicantRecorder = true;
+
+  const ACTIONABLE = 'button, a[href], input, select, textarea, summary, label, [role], [onclick], [contenteditable=""], [contenteditable="true"]';
+  const CLICK_ROLES = new Set(['button', 'link', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+    'option', 'checkbox', 'radio', 'switch', 'treeitem', 'gridcell', 'row', 'combobox']);
+  const INPUT_ROLES = { checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton',
+    search: 'searchbox', button: 'button', submit: 'button', reset: 'button', image: 'button' };
+
+  const norm = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+
+  function roleOf(el) {
+    const explicit = el.getAttribute('role');
+    if (explicit) return explicit.split(' ')[0];
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'button') return 'button';
+    if (tag === 'a' && el.hasAttribute('href')) return 'link';
+    if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+    if (tag === 'textarea') return 'textbox';
+    if (tag === 'summary') return 'button';
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+    if (tag === 'input') return INPUT_ROLES[(el.type || 'text').toLowerCase()] || 'textbox';
+    return null;
+  }
+
+  function labelOf(el) {
+    if (el.labels && el.labels.length) return norm(el.labels[0].innerText);
+    const by = el.getAttribute('aria-labelledby');
+    if (by) return norm(by.split(' ').map((id) => document.getElementById(id)?.innerText || '').join(' '));
+    return '';
+  }
+
+  function nameOf(el) {
+    const aria = el.getAttribute('aria-label');
+    if (aria) return norm(aria);
+    const label = labelOf(el);
+    if (label) return label;
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'input' && ['button', 'submit', 'reset'].includes(el.type)) return norm(el.value);
+    if (tag === 'input' || tag === 'textarea' || tag === 'select') return norm(el.getAttribute('title') || el.placeholder);
+    return norm(el.innerText || el.getAttribute('title') || el.querySelector('img[alt]')?.alt);
+  }
+
+  // Playwright's default name/text matching: case-insensitive substring
+  const loose = (a, b) => a.toLowerCase().includes(b.toLowerCase());
+
+  function rank(el, matches) {
+    return matches.length === 1 ? {} : { nth: matches.indexOf(el) };
+  }
+
+  function byRole(el, role, name) {
+    const all = [...document.querySelectorAll(ACTIONABLE + ', h1, h2, h3, h4, h5, h6')]
+      .filter((e) => roleOf(e) === role);
+    const looseMatches = all.filter((e) => loose(nameOf(e), name));
+    if (looseMatches.length === 1) return { role, name };
+    const exactMatches = all.filter((e) => nameOf(e) === name);
+    return { role, name, exact: true, ...rank(el, exactMatches) };
+  }
+
+  function stableId(id) {
+    // Skip framework-generated ids like ":r3:", "radix-12", "mui-4512"
+    return id && /^[A-Za-z][\w-]*$/.test(id) && !/\d{3,}|^(radix|mui|headlessui|react)-/i.test(id);
+  }
+
+  function cssPath(el) {
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1 && node !== document.body; node = node.parentElement) {
+      if (node.id && stableId(node.id)) {
+        parts.unshift('#' + CSS.escape(node.id));
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? [...node.parentElement.children].filter((s) => s.tagName === node.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  }
+
+  function describe(el) {
+    const testId = el.getAttribute('data-testid');
+    if (testId) {
+      return { testId, ...rank(el, [...document.querySelectorAll('[data-testid]')].filter((e) => e.getAttribute('data-testid') === testId)) };
+    }
+
+    const role = roleOf(el);
+    const name = nameOf(el);
+    const isField = /^(input|textarea|select)$/i.test(el.tagName) || role === 'textbox' || role === 'combobox';
+
+    if (role && name && name.length <= 80 && (CLICK_ROLES.has(role) || role === 'heading')) {
+      return byRole(el, role, name);
+    }
+    if (isField) {
+      const label = labelOf(el);
+      if (label) {
+        const same = [...document.querySelectorAll('input, textarea, select')].filter((e) => labelOf(e) === label);
+        return { label, ...(same.length > 1 ? { exact: true, ...rank(el, same) } : {}) };
+      }
+      if (el.placeholder) {
+        const same = [...document.querySelectorAll('[placeholder]')].filter((e) => e.placeholder === el.placeholder);
+        return { placeholder: el.placeholder, ...rank(el, same) };
+      }
+    }
+    if (el.id && stableId(el.id)) return { selector: '#' + CSS.escape(el.id) };
+    if (isField && el.name) {
+      const selector = `${el.tagName.toLowerCase()}[name="${el.name}"]`;
+      return { selector, ...rank(el, [...document.querySelectorAll(selector)]) };
+    }
+    if (role && name && name.length <= 80) return byRole(el, role, name);
+
+    const text = norm(el.innerText);
+    if (text && text.length <= 60) {
+      const same = [...document.querySelectorAll(el.tagName)].filter((e) => norm(e.innerText) === text);
+      return { text, exact: true, ...rank(el, same) };
+    }
+    return { selector: cssPath(el) };
+  }
+
+  const report = (event) => window.__replicantRecord(event);
+  const fieldOf = (el) => el?.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]');
+
+  document.addEventListener('click', (e) => {
+    if (!e.isTrusted) return;
+    const target = e.target.closest(ACTIONABLE) || e.target;
+    const tag = target.tagName.toLowerCase();
+    // Selects are recorded by their change event; labels by the control they toggle
+    if (tag === 'select' || tag === 'option') return;
+    const control = tag === 'label' && target.control;
+    report({ type: 'click', target: describe(control || target) });
+  }, true);
+
+  document.addEventListener('input', (e) => {
+    const el = fieldOf(e.target);
+    if (!el || !e.isTrusted) return;
+    const type = (el.type || '').toLowerCase();
+    if (el.tagName === 'SELECT' || ['checkbox', 'radio', 'file', 'range', 'submit', 'button'].includes(type)) return;
+    const value = el.isContentEditable ? el.innerText : el.value;
+    report({ type: 'fill', target: describe(el), value, secret: type === 'password' });
+  }, true);
+
+  document.addEventListener('change', (e) => {
+    const el = e.target;
+    if (el.tagName !== 'SELECT' || !e.isTrusted) return;
+    const values = [...el.selectedOptions].map((o) => o.value);
+    report({ type: 'select', target: describe(el), value: el.multiple ? values : values[0] });
+  }, true);
+
+  document.addEventListener('keydown', (e) => {
+    if (!e.isTrusted) return;
+    if (e.ctrlKey && e.altKey && e.key.toLowerCase() === 'n') {
+      e.preventDefault();
+      report({ type: 'scene' });
+      return;
+    }
+    const combo = (e.ctrlKey || e.metaKey || e.altKey) && e.key.length === 1;
+    if (e.key !== 'Enter' && e.key !== 'Escape' && !combo) return;
+    const key = [e.ctrlKey && 'Control', e.metaKey && 'Meta', e.altKey && 'Alt', e.shiftKey && combo && 'Shift',
+      combo ? e.key.toUpperCase() : e.key].filter(Boolean).join('+');
+    const field = fieldOf(e.target);
+    report({ type: 'press', key, target: field ? describe(field) : null });
+  }, true);
+}
+
+// ─── Events → steps ────────────────────────────────────────────
+const sameTarget = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** Pause for the idle gap before a step, rounded to half seconds. */
+function pauseFor(gap, maxPause) {
+  if (gap < 1.5) return 0;
+  return Math.min(maxPause, Math.round((gap - 1) * 2) / 2);
+}
+
+/** Relative path when the URL is on the app's origin. */
+function relativeUrl(url, appUrl) {
+  const u = new URL(url);
+  const base = new URL(appUrl);
+  return u.origin === base.origin ? u.pathname + u.search + u.hash : url;
+}
+
+/**
+ * Turn raw recorder events into scene steps:
+ * consecutive fills on one field collapse to the final value, clicks that
+ * only focus the field about to be filled are dropped, navigations caused
+ * by an interaction become a `waitFor: { url }` and the rest a `goto`.
+ *
+ * @param {object[]} events  { type, at, ... } in arrival order
+ * @param {object} ctx       { appUrl, maxPause }
+ * @returns {{ steps: object[], secrets: object[] }}  `secrets`: password fills left blank
+ */
+function eventsToSteps(events, ctx) {
+  const merged = [];
+  for (const ev of events) {
+    const prev = merged[merged.length - 1];
+    if (ev.type === 'fill' && prev?.type === 'fill' && sameTarget(prev.target, ev.target)) {
+      prev.value = ev.value;
+      continue;
+    }
+    if ((ev.type === 'fill' || ev.type === 'select') && prev?.type === 'click' && sameTarget(prev.target, ev.target)) {
+      merged[merged.length - 1] = { ...ev, at: prev.at };
+      continue;
+    }
+    if (ev.type === 'nav' && prev?.type === 'nav') {
+      merged[merged.length - 1] = { ...ev, at: prev.at };
+      continue;
+    }
+    merged.push({ ...ev });
+  }
+
+  const steps = [];
+  const secrets = [];
+  let lastAt = null;
+  let lastInteraction = -Infinity;
+
+  for (const ev of merged) {
+    const pause = lastAt == null ? 0 : pauseFor((ev.at - lastAt) / 1000, ctx.maxPause);
+
+    if (ev.type === 'nav') {
+      const url = relativeUrl(ev.url, ctx.appUrl);
+      if (ev.at - lastInteraction < 2000) {
+        steps.push({ waitFor: { url: url.startsWith('/') ? `**${url.split(/[?#]/)[0]}` : url } });
+      } else {
+        if (pause) steps.push({ pause });
+        steps.push({ goto: url });
+      }
+      lastAt = ev.at;
+      continue;
+    }
+
+    if (pause) steps.push({ pause });
+    lastInteraction = ev.at;
+    lastAt = ev.at;
+
+    if (ev.type === 'click') {
+      steps.push({ click: ev.target });
+    } else if (ev.type === 'fill') {
+      const step = { fill: { ...ev.target, value: ev.secret ? '' : ev.value } };
+      if (ev.secret) secrets.push(step);
+      steps.push(step);
+    } else if (ev.type === 'select') {
+      steps.push({ select: { ...ev.target, value: ev.value } });
+    } else if (ev.type === 'press') {
+      steps.push({ press: ev.target ? { ...ev.target, key: ev.key } : ev.key });
+    }
+  }
+
+  // The exporter waits between steps; a trailing pause keeps the last state on screen
+  if (steps.length && !('pause' in steps[steps.length - 1])) steps.push({ pause: 1.5 });
+  return { steps, secrets };
+}
+
+// ─── Output ────────────────────────────────────────────────────
+function readScenesFile(path) {
+  const text = readFileSync(path, 'utf8');
+  const data = extname(path).toLowerCase() === '.json' ? JSON.parse(text) : parseYAML(text);
+  return Array.isArray(data) ? data : data?.scenes || [];
+}
+
+function formatScenes(scenes, path) {
+  if (extname(path).toLowerCase() === '.json') {
+    return JSON.stringify({ scenes }, null, 2) + '\n';
+  }
+  // Block style for scenes, one-line flow maps for each step's target
+  const doc = new Document({ scenes });
+  for (const scene of doc.get('scenes').items) {
+    for (const step of scene.get('steps')?.items || []) {
+      const args = step.items[0].value;
+      if (args && typeof args === 'object' && 'items' in args) args.flow = true;
+    }
+  }
+  return doc.toString({ lineWidth: 0 });
+}
+
+// ─── Main ──────────────────────────────────────────────────────
+async function main() {
+  const opts = parseArgs();
+  let config = {};
+  let configDir = process.cwd();
+
+  if (existsSync(opts.configPath)) {
+    const mod = await import(pathToFileURL(opts.configPath).href);
+    config = mod.default || mod;
+    configDir = dirname(opts.configPath);
+  } else {
+    console.log(`  ℹ️  Sin config en ${opts.configPath}, usando valores por defecto`);
+  }
+
+  const videoCfg = config.video || {};
+  const appUrl = videoCfg.appUrl || 'http://localhost:5173';
+  const startUrl = opts.url ? new URL(opts.url, appUrl).href : appUrl;
+  const outPath = opts.out
+    || (videoCfg.scenes && /\.(ya?ml|json)$/i.test(videoCfg.scenes) ? resolve(configDir, videoCfg.scenes) : resolve(configDir, 'scenes.yaml'));
+
+  if (existsSync(outPath) && !opts.append && !opts.force) {
+    throw new Error(`${outPath} ya existe. Usá --append para agregar escenas o --force para sobrescribir.`);
+  }
+  const existing = opts.append && existsSync(outPath) ? readScenesFile(outPath) : [];
+
+  const resolution = videoCfg.resolution || { width: 1920, height: 1080 };
+  const viewport = resolution.width > 1600
+    ? { width: Math.round(resolution.width / 1.5), height: Math.round(resolution.height / 1.5) }
+    : resolution;
+
+  console.log(`\n  🎥 Grabando escenas`);
+  console.log(`  App: ${startUrl}`);
+  console.log(`  Salida: ${outPath}`);
+  console.log(`  Cerrá el navegador (o Ctrl+C) para terminar · Ctrl+Alt+N = nueva escena\n`);
+
+  const auth = resolveAuth(config.auth, configDir);
+  const role = opts.role || auth?.role;
+  if (opts.role && !auth) throw new Error('--role requiere `auth` en la config');
+
+  const serverOpts = appServerOptions({ appUrl, ...videoCfg }, configDir);
+  const app = serverOpts ? await startApp(serverOpts) : null;
+
+  const sceneName = (n) => {
+    const base = opts.name || 'Escena grabada';
+    return n === 1 ? base : `${base} (${n})`;
+  };
+  const recordings = [{ name: sceneName(1), events: [], startUrl }];
+  const current = () => recordings[recordings.length - 1];
+
+  // The dev server must stop even if the launch or sign-in fails
+  let browser = null;
+  try {
+    browser = await chromium.launch({ headless: false });
+    await prepareAuth(browser, auth, [role], { appUrl, viewport });
+    const context = await browser.newContext({ ...authContextOptions(auth, role), viewport });
+    await applyAuth(context, auth, role);
+    const page = await context.newPage();
+
+    let ready = false;
+    await page.exposeBinding('__replicantRecord', (source, event) => {
+      if (source.page !== page || !ready) return;
+      if (event.type === 'scene') {
+        const n = recordings.length + 1;
+        recordings.push({ name: sceneName(n), events: [], startUrl: page.url() });
+        console.log(`  🎬 Nueva escena: ${sceneName(n)}`);
+        return;
+      }
+      current().events.push({ ...event, at: Date.now() });
+      const what = event.type === 'press' ? event.key
+        : event.target ? Object.entries(event.target).map(([k, v]) => `${k}=${v}`).join(' ') : '';
+      console.log(`  • ${event.type} ${what}`);
+    });
+    await page.addInitScript(recorderScript);
+
+    page.on('framenavigated', (frame) => {
+      if (!ready || frame !== page.mainFrame()) return;
+      current().events.push({ type: 'nav', url: frame.url(), at: Date.now() });
+    });
+
+    await page.goto(startUrl, { waitUntil: 'domcontentloaded' });
+    ready = true;
+
+    await new Promise((done) => {
+      page.on('close', done);
+      browser.on('disconnected', done);
+      process.once('SIGINT', done);
+    });
+  } finally {
+    await browser?.close().catch(() => {});
+    await app?.stop();
+  }
+
+  // ── Build scenes ─────────────────────────────────────────────
+  const scenes = [];
+  for (const rec of recordings) {
+    const { steps, secrets } = eventsToSteps(rec.events, { appUrl, maxPause: opts.maxPause });
+    if (!steps.some((s) => !('pause' in s))) continue;
+    // Each recording scene starts on appUrl; reopen the page it started from
+    const startPath = relativeUrl(rec.startUrl, appUrl);
+    if (rec.startUrl !== appUrl && startPath !== '/') steps.unshift({ goto: startPath });
+    for (const step of secrets) {
+      console.log(`  ⚠️  "${rec.name}": contraseña omitida en steps[${steps.indexOf(step)}] — completá el valor a mano`);
+    }
+    scenes.push({ type: 'recording', name: rec.name, ...(opts.role ? { role: opts.role } : {}), steps });
+  }
+
+  if (scenes.length === 0) {
+    console.log('\n  ℹ️  No se registraron acciones; no se escribió ningún archivo.\n');
+    return;
+  }
+
+  const all = [...existing, ...scenes];
+  validateScenes(all, outPath);
+  mkdirSync(dirname(outPath), { recursive: true });
+  writeFileSync(outPath, formatScenes(all, outPath), 'utf8');
+
+  const stepCount = scenes.reduce((n, s) => n + s.steps.length, 0);
+  console.log(`\n  ✅ ${scenes.length} escena(s), ${stepCount} pasos → ${outPath}`);
+  console.log(`  Usalo con video: { mode: 'hybrid', scenes: '${outPath}' }\n`);
+}
+
+main().catch((err) => {
+  console.error(`\n  ❌ Error: ${err.message}`);
+  process.exit(1);
+});
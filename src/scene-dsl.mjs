@@ -0,0 +1,332 @@
+/**
+ * ============================================================
+ *  scene-dsl.mjs — Declarative JSON/YAML scenes for hybrid video
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Lets non-developers describe recording scenes as data
+ *  instead of Playwright code. Steps are validated up front
+ *  and compiled to the same `actions(page)` functions that
+ *  export-video.mjs already runs.
+ *
+ *  Example (scenes.yaml):
+ *
+ *    scenes:
+ *      - type: slide
+ *        slideType: cover
+ *      - type: recording
+ *        name: Alta de pago
+ *        steps:
+ *          - goto: /pagos
+ *          - click: { role: button, name: Nuevo pago }
+ *          - fill: { label: Monto, value: "1500" }
+ *          - highlight: { selector: "#resumen", duration: 1.5 }
+ *          - click: { text: Guardar }
+ *          - waitFor: { text: Pago registrado }
+ *          - pause: 2
+ *
+ *  Targets (any step that acts on an element):
+ *    selector | role (+ name) | label | text | placeholder | testId
+ *  A plain string is shorthand for `selector`.
+ *
+ * ============================================================
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { pathToFileURL } from 'url';
+import { parse as parseYAML } from 'yaml';
+import { humanType } from './cursor-overlay.mjs';
+
+// ─── Step schema ───────────────────────────────────────────────
+export const TARGET_KEYS = ['selector', 'role', 'name', 'label', 'text', 'placeholder', 'testId', 'exact', 'nth'];
+
+// For each step: which shorthand the scalar form means, and allowed keys
+const STEPS = {
+  goto: { scalar: 'url', keys: ['url', 'waitUntil'] },
+  click: { scalar: 'selector', keys: [...TARGET_KEYS, 'button', 'clickCount'], target: true },
+  hover: { scalar: 'selector', keys: TARGET_KEYS, target: true },
+  fill: { keys: [...TARGET_KEYS, 'value', 'typingDelay', 'instant'], target: true, required: ['value'] },
+  press: { scalar: 'key', keys: [...TARGET_KEYS, 'key'], required: ['key'] },
+  select: { keys: [...TARGET_KEYS, 'value'], target: true, required: ['value'] },
+  waitFor: { scalar: 'selector', keys: [...TARGET_KEYS, 'url', 'state', 'timeout'] },
+  scroll: { scalar: 'selector', keys: [...TARGET_KEYS, 'by', 'to'] },
+  highlight: { scalar: 'selector', keys: [...TARGET_KEYS, 'duration', 'color'], target: true },
+  pause: { scalar: 'seconds', keys: ['seconds'] },
+};
+
+const ARIA_ROLES = new Set([
+  'alert', 'alertdialog', 'button', 'cell', 'checkbox', 'columnheader', 'combobox', 'dialog',
+  'grid', 'gridcell', 'heading', 'img', 'link', 'list', 'listbox', 'listitem', 'menu', 'menubar',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'navigation', 'option', 'progressbar', 'radio',
+  'region', 'row', 'rowheader', 'searchbox', 'slider', 'spinbutton', 'switch', 'tab', 'table',
+  'tablist', 'tabpanel', 'textbox', 'tooltip', 'tree', 'treeitem',
+]);
+
+// ─── Validation ────────────────────────────────────────────────
+export function hasTarget(args) {
+  return ['selector', 'role', 'label', 'text', 'placeholder', 'testId'].some((k) => args[k] != null);
+}
+
+/** Normalize `{ click: "#btn" }` / `{ pause: 2 }` into [name, argsObject]. */
+function normalizeStep(step) {
+  const names = Object.keys(step);
+  const name = names[0];
+  const def = STEPS[name];
+  const raw = step[name];
+  if (raw !== null && typeof raw === 'object' && !Array.isArray(raw)) return [name, { ...raw }];
+  if (def?.scalar) return [name, { [def.scalar]: raw }];
+  return [name, raw];
+}
+
+function validateStep(step, where, errors) {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    errors.push(`${where}: se esperaba un objeto como { click: "#save" }`);
+    return;
+  }
+  const names = Object.keys(step);
+  if (names.length !== 1) {
+    errors.push(`${where}: cada paso debe tener exactamente una acción, hay ${names.length ? names.join(', ') : 'ninguna'}`);
+    return;
+  }
+  const [name, args] = normalizeStep(step);
+  const def = STEPS[name];
+  if (!def) {
+    errors.push(`${where}: paso desconocido "${name}" (válidos: ${Object.keys(STEPS).join(', ')})`);
+    return;
+  }
+  if (!args || typeof args !== 'object') {
+    errors.push(`${where}.${name}: se esperaba un objeto${def.scalar ? ` o un ${def.scalar}` : ''}`);
+    return;
+  }
+  for (const key of Object.keys(args)) {
+    if (!def.keys.includes(key)) {
+      errors.push(`${where}.${name}: opción desconocida "${key}" (válidas: ${def.keys.join(', ')})`);
+    }
+  }
+  for (const key of def.required || []) {
+    if (args[key] == null) errors.push(`${where}.${name}: falta "${key}"`);
+  }
+  if (def.target && !hasTarget(args)) {
+    errors.push(`${where}.${name}: falta el destino (selector, role, label, text, placeholder o testId)`);
+  }
+  if (args.role != null && !ARIA_ROLES.has(args.role)) {
+    errors.push(`${where}.${name}: rol ARIA desconocido "${args.role}"`);
+  }
+  if (name === 'goto' && typeof args.url !== 'string') {
+    errors.push(`${where}.goto: url debe ser un texto`);
+  }
+  if (name === 'pause' && !(Number(args.seconds) >= 0)) {
+    errors.push(`${where}.pause: seconds debe ser un número no negativo`);
+  }
+  if (name === 'scroll' && !hasTarget(args) && args.by == null && args.to == null) {
+    errors.push(`${where}.scroll: falta un destino, "by" (pixeles) o "to" ("top" | "bottom")`);
+  }
+  if (name === 'waitFor' && !hasTarget(args) && args.url == null) {
+    errors.push(`${where}.waitFor: falta un destino o "url"`);
+  }
+}
+
+/**
+ * Validate a scenes array (declarative or JS). Throws one Error listing
+ * every problem with its path, e.g. `scenes[3].steps[1].click: falta el destino`.
+ *
+ * With `lenient` (JS scene modules), entries export-video never played —
+ * not an object, unknown `type`, a recording without steps or actions —
+ * are skipped with a warning instead, as before the DSL existed.
+ *
+ * @param {object[]} scenes
+ * @param {string} [file]  Shown in the error message
+ * @param {{ lenient?: boolean }} [opts]
+ * @returns {object[]}  The scenes to play
+ */
+export function validateScenes(scenes, file = 'scenes', opts = {}) {
+  const errors = [];
+  const skipped = [];
+  if (!Array.isArray(scenes)) {
+    throw new Error(`${file}: se esperaba un array "scenes"`);
+  }
+
+  const kept = scenes.filter((scene, i) => {
+    const where = `scenes[${i}]`;
+    const reject = (msg) => {
+      (opts.lenient ? skipped : errors).push(`${where}: ${msg}`);
+      return false;
+    };
+    if (!scene || typeof scene !== 'object') return reject('se esperaba un objeto');
+    if (scene.type !== 'slide' && scene.type !== 'recording') {
+      return reject('type debe ser "slide" o "recording"');
+    }
+    if (scene.type === 'recording') {
+      if (scene.steps == null && typeof scene.actions !== 'function') {
+        return reject('recording necesita "steps" (o una función actions(page) en escenas JS)');
+      } else if (scene.steps != null && !Array.isArray(scene.steps)) {
+        errors.push(`${where}.steps: se esperaba una lista`);
+      } else if (scene.steps) {
+        scene.steps.forEach((step, j) => validateStep(step, `${where}.steps[${j}]`, errors));
+      }
+    }
+    return true;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`${file}: ${errors.length} error(es)\n    - ${errors.join('\n    - ')}`);
+  }
+  for (const msg of skipped) console.warn(`  ⚠️  ${file}: ${msg} — escena omitida`);
+  return kept;
+}
+
+// ─── Compilation ───────────────────────────────────────────────
+/** Resolve a step's target to a Playwright locator. */
+export function locate(page, args) {
+  const opts = args.exact != null ? { exact: args.exact } : {};
+  let loc;
+  if (args.selector) loc = page.locator(args.selector);
+  else if (args.role) loc = page.getByRole(args.role, { ...opts, ...(args.name != null ? { name: String(args.name) } : {}) });
+  else if (args.label) loc = page.getByLabel(String(args.label), opts);
+  else if (args.placeholder) loc = page.getByPlaceholder(String(args.placeholder), opts);
+  else if (args.testId) loc = page.getByTestId(String(args.testId));
+  else loc = page.getByText(String(args.text), opts);
+  return args.nth != null ? loc.nth(args.nth) : loc.first();
+}
+
+async function highlight(page, locator, seconds, color) {
+  const box = await locator.boundingBox();
+  if (!box) return;
+  await page.evaluate(({ box, color }) => {
+    const el = document.createElement('div');
+    el.id = '__video-highlight';
+    Object.assign(el.style, {
+      position: 'fixed',
+      left: `${box.x - 6}px`, top: `${box.y - 6}px`,
+      width: `${box.width + 12}px`, height: `${box.height + 12}px`,
+      border: `3px solid ${color}`,
+      borderRadius: '10px',
+      boxShadow: `0 0 0 9999px rgba(0,0,0,0.35)`,
+      pointerEvents: 'none',
+      zIndex: '999996',
+      transition: 'opacity 0.3s',
+    });
+    document.body.appendChild(el);
+  }, { box, color });
+  await page.waitForTimeout(seconds * 1000);
+  await page.evaluate(() => document.getElementById('__video-highlight')?.remove());
+}
+
+const STEP_RUNNERS = {
+  async goto(page, a, ctx) {
+    const url = /^https?:\/\//.test(a.url) ? a.url : new URL(a.url, ctx.appUrl).href;
+    await page.goto(url, { waitUntil: a.waitUntil || 'networkidle' });
+  },
+  async click(page, a) {
+    await locate(page, a).click({ button: a.button, clickCount: a.clickCount });
+  },
+  async hover(page, a) {
+    await locate(page, a).hover();
+  },
+  async fill(page, a, ctx) {
+    const loc = locate(page, a);
+    if (a.instant || !ctx.cursor?.humanTyping) {
+      await loc.fill(String(a.value));
+    } else {
+      await humanType(page, loc, String(a.value), { ...ctx.cursor, typingDelay: a.typingDelay ?? ctx.cursor.typingDelay });
+    }
+  },
+  async press(page, a) {
+    if (hasTarget(a)) await locate(page, a).press(a.key);
+    else await page.keyboard.press(a.key);
+  },
+  async select(page, a) {
+    await locate(page, a).selectOption(a.value);
+  },
+  async waitFor(page, a) {
+    if (a.url) {
+      await page.waitForURL(a.url, { timeout: a.timeout });
+    } else {
+      await locate(page, a).waitFor({ state: a.state || 'visible', timeout: a.timeout });
+    }
+  },
+  async scroll(page, a) {
+    if (hasTarget(a)) {
+      await locate(page, a).scrollIntoViewIfNeeded();
+    } else if (a.to != null) {
+      await page.evaluate((to) => window.scrollTo({
+        top: to === 'bottom' ? document.body.scrollHeight : to === 'top' ? 0 : Number(to),
+        behavior: 'smooth',
+      }), a.to);
+    } else {
+      await page.mouse.wheel(0, Number(a.by));
+    }
+    await page.waitForTimeout(600);
+  },
+  async highlight(page, a) {
+    await highlight(page, locate(page, a), a.duration ?? 1.5, a.color || '#3b82f6');
+  },
+  async pause(page, a) {
+    await page.waitForTimeout(Number(a.seconds) * 1000);
+  },
+};
+
+/**
+ * Compile declarative steps into an `actions(page)` function.
+ * Errors name the failing step so they're traceable to the scenes file.
+ *
+ * @param {object[]} steps
+ * @param {object} ctx  { appUrl, cursor, stepDelay }
+ * @returns {(page: import('playwright').Page) => Promise<void>}
+ */
+export function compileSteps(steps, ctx = {}) {
+  const normalized = steps.map(normalizeStep);
+  const stepDelay = ctx.stepDelay ?? 400;
+
+  return async (page) => {
+    for (let i = 0; i < normalized.length; i++) {
+      const [name, args] = normalized[i];
+      try {
+        await STEP_RUNNERS[name](page, args, ctx);
+      } catch (err) {
+        throw new Error(`steps[${i}] ${name}: ${err.message.split('\n')[0]}`);
+      }
+      if (name !== 'pause') await page.waitForTimeout(stepDelay);
+    }
+  };
+}
+
+// ─── Loading ───────────────────────────────────────────────────
+/**
+ * Load a scenes file. JS/MJS modules export `scenes` (or default) as before;
+ * .json / .yaml / .yml files hold `{ scenes: [...] }` or a bare array.
+ * Declarative recordings get an `actions(page)` compiled from their steps.
+ *
+ * @param {string} scenesPath  Absolute path
+ * @param {object} ctx         { appUrl, cursor } passed to compileSteps
+ * @returns {Promise<object[]>}
+ */
+export async function loadScenes(scenesPath, ctx = {}) {
+  const ext = extname(scenesPath).toLowerCase();
+  const declarative = ext === '.json' || ext === '.yaml' || ext === '.yml';
+  let scenes;
+
+  if (declarative) {
+    const text = readFileSync(scenesPath, 'utf8');
+    let data;
+    try {
+      data = ext === '.json' ? JSON.parse(text) : parseYAML(text);
+    } catch (err) {
+      throw new Error(`${scenesPath}: ${ext === '.json' ? 'JSON' : 'YAML'} inválido — ${err.message}`);
+    }
+    scenes = Array.isArray(data) ? data : data?.scenes;
+  } else {
+    const mod = await import(pathToFileURL(scenesPath).href);
+    scenes = mod.scenes || mod.default;
+  }
+
+  // JS modules keep their old leniency; JSON/YAML get the strict schema
+  scenes = validateScenes(scenes, scenesPath, { lenient: !declarative });
+
+  return scenes.map((scene) => (
+    scene.type === 'recording' && scene.steps && !scene.actions
+      ? { ...scene, actions: compileSteps(scene.steps, { ...ctx, stepDelay: scene.stepDelay ?? ctx.stepDelay }) }
+      : scene
+  ));
+}
@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ *  screenshot-diff.mjs — Visual regression of tutorial images
+ *  Replicant-2049
+ * ============================================================
+ *
+ *  Compares the screenshots referenced by the tutorial Markdown
+ *  against a baseline — the committed version in git (default)
+ *  or a directory — and writes an HTML report with side-by-side,
+ *  overlay and highlighted diffs, plus the tutorial sections
+ *  whose text probably needs reviewing.
+ *
+ *  Metrics (computed in a headless browser canvas):
+ *    pixel       share of pixels whose YIQ color distance exceeds
+ *                --threshold (anti-aliasing noise stays below it)
+ *    perceptual  mean SSIM of the luminance over 8×8 blocks
+ *  An image is "changed" when pixel > --max-diff or SSIM < --min-ssim.
+ *
+ *  Usage:
+ *    npx replicant screenshots diff                      (vs git HEAD)
+ *    npx replicant screenshots diff --capture            (re-capture first)
+ *    npx replicant screenshots diff --ref v1.2.0
+ *    npx replicant screenshots diff --baseline ./SS-prev --out ./diff-report
+ *
+ * ============================================================
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync, rmSync } from 'fs';
+import { resolve, dirname, relative, join, basename } from 'path';
+import { pathToFileURL } from 'url';
+import { execFileSync } from 'child_process';
+import { chromium } from 'playwright';
+import { extractCaptureDirectives, imageTarget, captureFromMarkdown, printCaptureReport } from './capture.mjs';
+
+// ─── CLI Args ──────────────────────────────────────────────────
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    configPath: resolve(process.cwd(), 'tutorial.config.js'),
+    ref: 'HEAD',
+    baseline: null,
+    out: null,
+    capture: false,
+    threshold: 0.1,
+    maxDiff: 0.001,
+    minSsim: 0.99,
+    failOnChange: false,
+  };
+
+  // Skip 'screenshots diff' if present
+  let start = args[0] === 'screenshots' ? 1 : 0;
+  if (args[start] === 'diff') start++;
+  else if (args[start] && !args[start].startsWith('-')) {
+    throw new Error(`Subcomando desconocido "${args[start]}". Uso: replicant screenshots diff`);
+  }
+
+  for (let i = start; i < args.length; i++) {
+    if (args[i] === '--config' && args[i + 1]) opts.configPath = resolve(args[++i]);
+    else if (args[i] === '--ref' && args[i + 1]) opts.ref = args[++i];
+    else if (args[i] === '--baseline' && args[i + 1]) opts.baseline = resolve(args[++i]);
+    else if (args[i] === '--out' && args[i + 1]) opts.out = resolve(args[++i]);
+    else if (args[i] === '--threshold' && args[i + 1]) opts.threshold = Number(args[++i]);
+    else if (args[i] === '--max-diff' && args[i + 1]) opts.maxDiff = parsePercent(args[++i]);
+    else if (args[i] === '--min-ssim' && args[i + 1]) opts.minSsim = Number(args[++i]);
+    else if (args[i] === '--capture') opts.capture = true;
+    else if (args[i] === '--fail-on-change') opts.failOnChange = true;
+    else if (args[i] === '--help' || args[i] === '-h') {
+      printHelp();
+      process.exit(0);
+    }
+  }
+  return opts;
+}
+
+function parsePercent(value) {
+  return value.endsWith('%') ? Number(value.slice(0, -1)) / 100 : Number(value);
+}
+
+function printHelp() {
+  console.log(`
+  Uso: npx replicant screenshots diff [opciones]
+
+    --config <path>     Config (default: ./tutorial.config.js)
+    --ref <git-ref>     Baseline desde git (default: HEAD)
+    --baseline <dir>    Baseline desde una carpeta (mismos nombres que imagesDir)
+    --capture           Capturar los screenshots antes de comparar
+    --out <dir>         Carpeta del reporte (default: <imagesDir>-diff)
+    --threshold <0-1>   Distancia de color por pixel (default: 0.1)
+    --max-diff <n|%>    Pixeles distintos tolerados (default: 0.1%)
+    --min-ssim <0-1>    Similitud perceptual mínima (default: 0.99)
+    --fail-on-change    Salir con código 1 si hay imágenes cambiadas
+  `);
+}
+
+// ─── Markdown → sections ───────────────────────────────────────
+/** Section path ("2. Pagos › 2.1 Alta") of every image reference. */
+function sectionsByImage(md) {
+  const { images } = extractCaptureDirectives(md);
+  const lines = md.split('\n');
+  const headings = [];
+  let inFence = false;
+  lines.forEach((line, i) => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const m = !inFence && line.match(/^(#{2,4})\s+(.+)$/);
+    if (m) headings.push({ line: i + 1, depth: m[1].length, title: m[2].trim() });
+  });
+
+  return images.map((img) => {
+    const trail = [];
+    for (const h of headings) {
+      if (h.line > img.line) break;
+      while (trail.length && trail[trail.length - 1].depth >= h.depth) trail.pop();
+      trail.push(h);
+    }
+    return { ...img, section: trail.map((h) => h.title).join(' › ') || '(sin sección)' };
+  });
+}
+
+// ─── Baseline ──────────────────────────────────────────────────
+function gitBaseline(path, ref) {
+  const dir = dirname(path);
+  try {
+    const root = execFileSync('git', ['rev-parse', '--show-toplevel'], { cwd: dir, encoding: 'utf8' }).trim();
+    const rel = relative(root, path).split('\\').join('/');
+    return execFileSync('git', ['show', `${ref}:${rel}`], { cwd: root, maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'ignore'] });
+  } catch {
+    return null;
+  }
+}
+
+function loadBaseline(path, opts, imagesDir) {
+  if (opts.baseline) {
+    const candidate = join(opts.baseline, relative(imagesDir, path));
+    return existsSync(candidate) ? readFileSync(candidate) : null;
+  }
+  return gitBaseline(path, opts.ref);
+}
+
+// ─── In-page comparison ────────────────────────────────────────
+// Decodes both PNGs into canvases and returns metrics + a diff image.
+async function compareInPage({ a, b, threshold }) {
+  const load = (src) => new Promise((res, rej) => {
+    const img = new Image();
+    img.onload = () => res(img);
+    img.onerror = () => rej(new Error('imagen inválida'));
+    img.src = src;
+  });
+  const [imgA, imgB] = await Promise.all([load(a), load(b)]);
+  const w = Math.min(imgA.width, imgB.width);
+  const h = Math.min(imgA.height, imgB.height);
+  const pixels = (img) => {
+    const c = document.createElement('canvas');
+    c.width = w;
+    c.height = h;
+    const ctx = c.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, w, h);
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, w, h).data;
+  };
+  const pa = pixels(imgA);
+  const pb = pixels(imgB);
+
+  const out = document.createElement('canvas');
+  out.width = w;
+  out.height = h;
+  const octx = out.getContext('2d');
+  const diff = octx.createImageData(w, h);
+  const d = diff.data;
+
+  // Pixel metric: YIQ distance, as in pixelmatch
+  const maxDelta = 35215 * threshold * threshold;
+  const lumA = new Float32Array(w * h);
+  const lumB = new Float32Array(w * h);
+  let changed = 0;
+  for (let p = 0, k = 0; k < w * h; k++, p += 4) {
+    const [r1, g1, b1] = [pa[p], pa[p + 1], pa[p + 2]];
+    const [r2, g2, b2] = [pb[p], pb[p + 1], pb[p + 2]];
+    const y1 = r1 * 0.29889531 + g1 * 0.58662247 + b1 * 0.11448223;
+    const y2 = r2 * 0.29889531 + g2 * 0.58662247 + b2 * 0.11448223;
+    const di = (r1 - r2) * 0.59597799 - (g1 - g2) * 0.2741761 - (b1 - b2) * 0.32180189;
+    const dq = (r1 - r2) * 0.21147017 - (g1 - g2) * 0.52261711 + (b1 - b2) * 0.31114694;
+    const dy = y1 - y2;
+    const delta = 0.5053 * dy * dy + 0.299 * di * di + 0.1957 * dq * dq;
+    lumA[k] = y1;
+    lumB[k] = y2;
+    if (delta > maxDelta) {
+      changed++;
+      d[p] = 239; d[p + 1] = 68; d[p + 2] = 68; d[p + 3] = 255;
+    } else {
+      // Faded grayscale of the new image for context
+      const g = 255 - (255 - y2) * 0.25;
+      d[p] = g; d[p + 1] = g; d[p + 2] = g; d[p + 3] = 255;
+    }
+  }
+  octx.putImageData(diff, 0, 0);
+
+  // Perceptual metric: mean SSIM over 8×8 luminance blocks
+  const C1 = (0.01 * 255) ** 2;
+  const C2 = (0.03 * 255) ** 2;
+  let ssimSum = 0;
+  let blocks = 0;
+  for (let by = 0; by + 8 <= h; by += 8) {
+    for (let bx = 0; bx + 8 <= w; bx += 8) {
+      let ma = 0, mb = 0;
+      for (let y = by; y < by + 8; y++) {
+        for (let x = bx; x < bx + 8; x++) { ma += lumA[y * w + x]; mb += lumB[y * w + x]; }
+      }
+      ma /= 64; mb /= 64;
+      let va = 0, vb = 0, cov = 0;
+      for (let y = by; y < by + 8; y++) {
+        for (let x = bx; x < bx + 8; x++) {
+          const da = lumA[y * w + x] - ma;
+          const db = lumB[y * w + x] - mb;
+          va += da * da; vb += db * db; cov += da * db;
+        }
+      }
+      va /= 63; vb /= 63; cov /= 63;
+      ssimSum += ((2 * ma * mb + C1) * (2 * cov + C2)) / ((ma * ma + mb * mb + C1) * (va + vb + C2));
+      blocks++;
+    }
+  }
+
+  return {
+    width: [imgA.width, imgB.width],
+    height: [imgA.height, imgB.height],
+    pixelRatio: changed / (w * h),
+    ssim: blocks ? ssimSum / blocks : 1,
+    diff: out.toDataURL('image/png'),
+  };
+}
+
+// ─── Report ────────────────────────────────────────────────────
+const STATUS_LABEL = {
+  changed: '🔴 Cambiada',
+  added: '🆕 Nueva (sin baseline)',
+  missing: '⚠️ Falta la imagen actual',
+  unchanged: '✅ Sin cambios',
+};
+
+function escapeHTML(s) {
+  return String(s).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function renderReport(results, meta) {
+  const review = results.filter((r) => r.status !== 'unchanged');
+  const sections = [...new Set(review.flatMap((r) => r.uses.map((u) => u.section)))];
+  const pct = (n) => `${(n * 100).toFixed(2)}%`;
+
+  const cards = review.map((r, i) => `
+  <section class="card ${r.status}" id="img-${i}">
+    <header>
+      <h2>${escapeHTML(r.href)}</h2>
+      <span class="status">${STATUS_LABEL[r.status]}</span>
+    </header>
+    <p class="meta">${r.uses.map((u) => `${escapeHTML(u.section)} · línea ${u.line}`).join('<br>')}${r.metrics ? ` · pixeles distintos ${pct(r.metrics.pixelRatio)} · SSIM ${r.metrics.ssim.toFixed(4)}` : ''}${r.resized ? ` · tamaño ${r.metrics.width[0]}×${r.metrics.height[0]} → ${r.metrics.width[1]}×${r.metrics.height[1]}` : ''}</p>
+    ${r.metrics ? `
+    <div class="side">
+      <figure><figcaption>Baseline</figcaption><img src="${r.files.baseline}" alt=""></figure>
+      <figure><figcaption>Actual</figcaption><img src="${r.files.current}" alt=""></figure>
+    </div>
+    <div class="side">
+      <figure><figcaption>Superposición <input type="range" min="0" max="100" value="50" oninput="this.closest('figure').querySelector('.top').style.opacity=this.value/100"></figcaption>
+        <div class="overlay"><img src="${r.files.baseline}" alt=""><img class="top" src="${r.files.current}" alt=""></div></figure>
+      <figure><figcaption>Diferencias</figcaption><img src="${r.files.diff}" alt=""></figure>
+    </div>` : r.files?.current ? `<div class="side"><figure><figcaption>Actual</figcaption><img src="${r.files.current}" alt=""></figure></div>`
+      : r.files?.baseline ? `<div class="side"><figure><figcaption>Baseline</figcaption><img src="${r.files.baseline}" alt=""></figure></div>` : ''}
+  </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>Diff de screenshots — ${escapeHTML(meta.title)}</title>
+<style>
+  body { font-family: Inter, "Segoe UI", system-ui, sans-serif; background: #09090b; color: #fafafa; margin: 0; padding: 32px; }
+  h1 { font-size: 24px; margin: 0 0 8px; }
+  .summary { color: #a1a1aa; margin-bottom: 24px; }
+  .sections { background: #18181b; border: 1px solid #27272a; border-radius: 12px; padding: 16px 24px; margin-bottom: 32px; }
+  .sections li { margin: 4px 0; }
+  .card { background: #18181b; border: 1px solid #27272a; border-radius: 12px; padding: 20px; margin-bottom: 24px; }
+  .card header { display: flex; justify-content: space-between; align-items: center; gap: 16px; }
+  .card h2 { font-size: 16px; margin: 0; font-family: ui-monospace, monospace; }
+  .meta { color: #a1a1aa; font-size: 13px; }
+  .side { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-top: 12px; }
+  figure { margin: 0; }
+  figcaption { font-size: 12px; color: #a1a1aa; margin-bottom: 6px; display: flex; gap: 12px; align-items: center; }
+  img { max-width: 100%; border: 1px solid #27272a; border-radius: 6px; display: block; }
+  .overlay { position: relative; }
+  .overlay .top { position: absolute; inset: 0; opacity: 0.5; }
+  .changed { border-color: #ef4444; }
+</style>
+</head>
+<body>
+<h1>Diff de screenshots</h1>
+<p class="summary">${escapeHTML(meta.title)} · baseline: ${escapeHTML(meta.baseline)} · ${meta.date}<br>
+${results.length} imágenes · ${results.filter((r) => r.status === 'changed').length} cambiadas ·
+${results.filter((r) => r.status === 'added').length} nuevas · ${results.filter((r) => r.status === 'missing').length} faltantes ·
+umbral pixel ${pct(meta.maxDiff)} · SSIM mínimo ${meta.minSsim}</p>
+${sections.length ? `<div class="sections"><h3>Secciones a revisar</h3><ul>
+${sections.map((s) => `  <li>${escapeHTML(s)}</li>`).join('\n')}
+</ul></div>` : '<p>✅ Ninguna imagen cambió.</p>'}
+${cards}
+</body>
+</html>
+`;
+}
+
+// ─── Main ──────────────────────────────────────────────────────
+async function main() {
+  const opts = parseArgs();
+  if (!existsSync(opts.configPath)) {
+    throw new Error(`Config no encontrada: ${opts.configPath}`);
+  }
+  const mod = await import(pathToFileURL(opts.configPath).href);
+  const config = mod.default || mod;
+  const configDir = dirname(opts.configPath);
+  const resolved = {
+    ...config,
+    _configPath: opts.configPath,
+    input: resolve(configDir, config.input),
+    imagesDir: resolve(configDir, config.imagesDir || './SS'),
+  };
+  const outDir = opts.out || `${resolved.imagesDir}-diff`;
+
+  if (opts.capture) {
+    printCaptureReport(await captureFromMarkdown(resolved));
+  }
+
+  const md = readFileSync(resolved.input, 'utf8');
+  const refs = sectionsByImage(md).filter((img) => !/^(https?:|data:)/.test(img.href));
+  // An image referenced twice is compared once, but its row lists every section
+  const byHref = new Map();
+  for (const { href, section, line } of refs) {
+    if (!byHref.has(href)) byHref.set(href, { href, uses: [] });
+    byHref.get(href).uses.push({ section, line });
+  }
+  const unique = [...byHref.values()];
+  const baselineLabel = opts.baseline ? relative(process.cwd(), opts.baseline) || '.' : `git ${opts.ref}`;
+
+  console.log(`\n  🔍 Comparando ${unique.length} imágenes contra ${baselineLabel}`);
+
+  // Only clear what a previous report wrote — --out may point at an existing folder
+  rmSync(join(outDir, 'img'), { recursive: true, force: true });
+  rmSync(join(outDir, 'index.html'), { force: true });
+  mkdirSync(join(outDir, 'img'), { recursive: true });
+
+  const browser = await chromium.launch({ headless: true });
+  const page = await browser.newPage();
+  const results = [];
+
+  try {
+    for (let i = 0; i < unique.length; i++) {
+      const ref = unique[i];
+      process.stdout.write(`\r  [${i + 1}/${unique.length}] ${ref.href}                    `);
+      const path = imageTarget(ref.href, resolved.imagesDir);
+      const current = existsSync(path) ? readFileSync(path) : null;
+      const baseline = loadBaseline(path, opts, resolved.imagesDir);
+      const stem = `${String(i).padStart(3, '0')}-${basename(path).replace(/\.[^.]+$/, '')}`;
+      const files = {};
+      // Only images that need review get copied into the report
+      const save = (kind, buf) => {
+        files[kind] = `img/${stem}.${kind}.png`;
+        writeFileSync(join(outDir, files[kind]), buf);
+      };
+
+      if (!current) {
+        if (baseline) save('baseline', baseline);
+        results.push({ ...ref, status: 'missing', files });
+        continue;
+      }
+      if (!baseline) {
+        save('current', current);
+        results.push({ ...ref, status: 'added', files });
+        continue;
+      }
+      if (baseline.equals(current)) {
+        results.push({ ...ref, status: 'unchanged' });
+        continue;
+      }
+
+      const toURL = (buf) => `data:image/png;base64,${buf.toString('base64')}`;
+      const metrics = await page.evaluate(compareInPage, { a: toURL(baseline), b: toURL(current), threshold: opts.threshold });
+      const resized = metrics.width[0] !== metrics.width[1] || metrics.height[0] !== metrics.height[1];
+      const isChanged = resized || metrics.pixelRatio > opts.maxDiff || metrics.ssim < opts.minSsim;
+
+      if (isChanged) {
+        save('baseline', baseline);
+        save('current', current);
+        save('diff', Buffer.from(metrics.diff.split(',')[1], 'base64'));
+      }
+      delete metrics.diff;
+
+      results.push({ ...ref, status: isChanged ? 'changed' : 'unchanged', metrics, resized, files });
+    }
+  } finally {
+    await browser.close();
+  }
+  process.stdout.write('\n');
+
+  const reportPath = join(outDir, 'index.html');
+  writeFileSync(reportPath, renderReport(results, {
+    title: basename(resolved.input),
+    baseline: baselineLabel,
+    date: new Date().toISOString().slice(0, 16).replace('T', ' '),
+    maxDiff: opts.maxDiff,
+    minSsim: opts.minSsim,
+  }), 'utf8');
+
+  const count = (s) => results.filter((r) => r.status === s).length;
+  console.log(`  ✅ ${count('unchanged')} sin cambios · 🔴 ${count('changed')} cambiadas · 🆕 ${count('added')} nuevas · ⚠️  ${count('missing')} faltantes`);
+  const sections = [...new Set(results.filter((r) => r.status !== 'unchanged').flatMap((r) => r.uses.map((u) => u.section)))];
+  if (sections.length) {
+    console.log('\n  Secciones a revisar:');
+    for (const s of sections) console.log(`    - ${s}`);
+  }
+  console.log(`\n  📄 Reporte: ${reportPath}\n`);
+
+  if (opts.failOnChange && count('changed') + count('missing') > 0) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(`\n  ❌ Error: ${err.message}`);
+  process.exit(1);
+});
@@ -12,13 +12,21 @@
  *    toc            — Table of contents
  *    section-title  — H2 section header (full-screen title card)
  *    content        — H3 subsection with text + optional image
+ *    callout        — `> [!NOTE]` / `> [!WARNING]` box from the H3,
+ *                     shown right after its content slide
  *    closing        — Final slide (thank you / contact)
  *
+ *  Content slides carry an optional `narration` string taken from
+ *  `<!-- narración: ... -->` comments or 🎙️ blockquotes under the H3.
+ *  `video.calloutSlides: false` leaves callouts out of the video.
+ *
  * ============================================================
  */
 
 import { readFileSync, existsSync } from 'fs';
 import { join, dirname, resolve, extname } from 'path';
+import { extractNarration } from './narration.mjs';
+import { extractCallouts } from './admonitions.mjs';
 
 /**
  * Parse a Markdown tutorial into slides.
@@ -31,7 +39,6 @@ export function buildSlides(config) {
   const lines = md.split('\n');
   const imagesDir = config.imagesDir || dirname(config.input);
   const videoCfg = config.video || {};
-  const defaultDuration = videoCfg.slideDuration || 6;
 
   const slides = [];
 
@@ -83,7 +90,7 @@ export function buildSlides(config) {
     if (/^## /.test(line)) {
       // Flush previous subsection
       if (currentSubsection) {
-        slides.push(finalizeContentSlide(currentSubsection, buffer, imagesDir, defaultDuration));
+        slides.push(...subsectionSlides(currentSubsection, buffer, imagesDir, videoCfg));
         buffer = [];
         currentSubsection = null;
       }
@@ -104,7 +111,7 @@ export function buildSlides(config) {
     if (/^### /.test(line)) {
       // Flush previous subsection
       if (currentSubsection) {
-        slides.push(finalizeContentSlide(currentSubsection, buffer, imagesDir, defaultDuration));
+        slides.push(...subsectionSlides(currentSubsection, buffer, imagesDir, videoCfg));
         buffer = [];
       }
 
@@ -123,7 +130,7 @@ export function buildSlides(config) {
 
   // Flush last subsection
   if (currentSubsection) {
-    slides.push(finalizeContentSlide(currentSubsection, buffer, imagesDir, defaultDuration));
+    slides.push(...subsectionSlides(currentSubsection, buffer, imagesDir, videoCfg));
   }
 
   // ── 3. TOC slide (built from section-title slides) ───────────
@@ -159,8 +166,33 @@ function extractSectionNumber(title) {
   return match ? match[1] : '';
 }
 
+/** The content slide of an H3, followed by one slide per callout in it. */
+function subsectionSlides(sub, buffer, imagesDir, videoCfg) {
+  const md = buffer.join('\n');
+  const { callouts, rest } = videoCfg.calloutSlides === false ? { callouts: [], rest: md } : extractCallouts(md);
+  const slide = finalizeContentSlide(sub, rest.split('\n'), imagesDir, videoCfg.slideDuration || 6);
+
+  return [slide, ...callouts.map((c) => {
+    const lines = c.body.split('\n').map((l) => l.trim()).filter(Boolean);
+    const bullets = lines.filter((l) => /^([-*]|\d+\.)\s+/.test(l)).map((l) => l.replace(/^([-*]|\d+\.)\s+/, ''));
+    const prose = lines.filter((l) => !/^([-*]|\d+\.)\s+/.test(l)).join(' ');
+    return {
+      type: 'callout',
+      variant: c.type,
+      icon: c.icon,
+      title: c.title,
+      prose: prose.length > 240 ? prose.substring(0, 240) + '…' : prose,
+      bullets,
+      parentSection: sub.parentSection,
+      subsection: sub.title,
+      duration: videoCfg.calloutDuration || 5,
+    };
+  })];
+}
+
 function finalizeContentSlide(sub, buffer, imagesDir, defaultDuration) {
-  const text = buffer.join('\n').trim();
+  const { narration, rest } = extractNarration(buffer.join('\n'));
+  const text = rest.trim();
 
   // Extract images
   const images = [];
@@ -177,6 +209,7 @@ function finalizeContentSlide(sub, buffer, imagesDir, defaultDuration) {
   // Clean text: remove image lines, metadata lines
   const cleanText = text
     .replace(/!\[([^\]]*)\]\([^)]+\)/g, '')          // remove images
+    .replace(/<!--[\s\S]*?-->/g, '')                  // remove comments (capture directives)
     .replace(/^\*\*Versión:\*\*.*/gm, '')             // remove meta
     .replace(/^\*\*Clasificación:\*\*.*/gm, '')
     .replace(/^---$/gm, '')                           // remove hr
@@ -217,6 +250,7 @@ function finalizeContentSlide(sub, buffer, imagesDir, defaultDuration) {
     bullets,
     steps,
     images,
+    narration,
     duration: imageDuration,
   };
 }
@@ -7,6 +7,11 @@
  *  Each slide type has its own HTML template.
  *  Returns a full HTML page string ready for Playwright rendering.
  *
+ *  The page body carries an aspect class derived from the
+ *  resolution (aspect-landscape | aspect-portrait | aspect-square)
+ *  so themes can restyle 9:16 and 1:1 output; content slides
+ *  with images switch from layout-split to layout-stacked there.
+ *
  * ============================================================
  */
 
@@ -52,8 +57,22 @@ function imgToBase64(imgPath) {
   return `data:${mime};base64,${buf.toString('base64')}`;
 }
 
+// ─── Aspect class from resolution ──────────────────────────────
+/**
+ * Classify a resolution as landscape, portrait or square.
+ * Anything within 10% of 1:1 counts as square.
+ */
+export function aspectOf(resolution) {
+  const w = resolution?.width || 1920;
+  const h = resolution?.height || 1080;
+  const ratio = w / h;
+  if (ratio > 1.1) return 'landscape';
+  if (ratio < 0.9) return 'portrait';
+  return 'square';
+}
+
 // ─── Render a single slide to HTML ─────────────────────────────
-function renderSlide(slide, animationPhase) {
+function renderSlide(slide, animationPhase, aspect = 'landscape') {
   // animationPhase: 0.0 (start) → 1.0 (fully revealed)
   const phase = animationPhase ?? 1;
 
@@ -65,7 +84,9 @@ function renderSlide(slide, animationPhase) {
     case 'section-title':
       return renderSectionTitle(slide, phase);
     case 'content':
-      return renderContent(slide, phase);
+      return renderContent(slide, phase, aspect);
+    case 'callout':
+      return renderCallout(slide, phase);
     case 'closing':
       return renderClosing(slide, phase);
     default:
@@ -141,9 +162,12 @@ function renderSectionTitle(slide, phase) {
 }
 
 // ─── Content slide ─────────────────────────────────────────────
-function renderContent(slide, phase) {
+function renderContent(slide, phase, aspect) {
   const hasImage = slide.images && slide.images.length > 0;
-  const layoutClass = hasImage ? 'layout-split' : 'layout-text-only';
+  // Side-by-side only fits 16:9; narrow frames stack text above the image
+  const layoutClass = !hasImage ? 'layout-text-only'
+    : aspect === 'landscape' ? 'layout-split'
+    : 'layout-stacked';
 
   // Title
   const titleHTML = `<h3 class="content-title" style="opacity:${Math.min(phase * 3, 1)}">${slide.title}</h3>`;
@@ -191,6 +215,33 @@ function renderContent(slide, phase) {
     </div>`;
 }
 
+// ─── Callout ───────────────────────────────────────────────────
+function renderCallout(slide, phase) {
+  const cardPhase = Math.min(phase * 2.5, 1);
+  const textPhase = Math.max(0, Math.min((phase - 0.25) * 2, 1));
+  const inline = (t) => t.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>').replace(/`([^`]+)`/g, '<code>$1</code>');
+
+  const bullets = (slide.bullets || [])
+    .map((item, i) => {
+      const itemPhase = Math.max(0, Math.min((phase - 0.3 - i * 0.04) * 3, 1));
+      return `<li style="opacity:${itemPhase}">${inline(item)}</li>`;
+    })
+    .join('\n');
+
+  return `
+    <div class="slide slide-callout callout-${slide.variant || 'note'}">
+      ${slide.subsection ? `<p class="callout-context" style="opacity:${cardPhase}">${slide.subsection}</p>` : ''}
+      <div class="callout-card" style="opacity:${cardPhase};transform:scale(${0.96 + cardPhase * 0.04})">
+        <div class="callout-header">
+          <span class="callout-icon">${slide.icon || ''}</span>
+          <h3 class="callout-heading">${slide.title}</h3>
+        </div>
+        ${slide.prose ? `<p class="callout-text" style="opacity:${textPhase}">${inline(slide.prose)}</p>` : ''}
+        ${bullets ? `<ul class="callout-list">${bullets}</ul>` : ''}
+      </div>
+    </div>`;
+}
+
 // ─── Closing ───────────────────────────────────────────────────
 function renderClosing(slide, phase) {
   return `
@@ -217,7 +268,8 @@ function renderClosing(slide, phase) {
 export function renderSlideHTML(slide, animationPhase, css, resolution) {
   const w = resolution?.width || 1920;
   const h = resolution?.height || 1080;
-  const body = renderSlide(slide, animationPhase);
+  const aspect = aspectOf({ width: w, height: h });
+  const body = renderSlide(slide, animationPhase, aspect);
 
   return `<!DOCTYPE html>
 <html lang="es">
@@ -233,9 +285,13 @@ export function renderSlideHTML(slide, animationPhase, css, resolution) {
       height: ${h}px;
       overflow: hidden;
     }
+    .slide {
+      width: ${w}px;
+      height: ${h}px;
+    }
   </style>
 </head>
-<body>
+<body class="aspect-${aspect}">
   ${body}
 </body>
 </html>`;
@@ -173,6 +173,12 @@ body {
   color: #555;
   font-size: 10.5pt;
 }
+.toc-list .toc-h4 {
+  font-weight: 400;
+  padding-left: 48px;
+  color: #777;
+  font-size: 10pt;
+}
 
 /* ══════════════════════════════════════════════════════
    HEADINGS — Calibri Bold (from Word doc analysis)
@@ -310,6 +316,28 @@ blockquote {
 
 blockquote p { margin: 2px 0; }
 
+/* ── Callouts (> [!NOTE], > [!WARNING], …) — Word-style shaded boxes ── */
+.callout {
+  border: 1px solid #cbcccb;
+  border-left: 4px solid #4472c4;
+  background: #f0f4fa;
+  padding: 8px 14px;
+  margin: 8px 0;
+  border-radius: 0 4px 4px 0;
+  color: #000;
+  page-break-inside: avoid;
+}
+.callout-title { display: flex; align-items: center; gap: 6px; margin: 0 0 4px; font-weight: bold; color: #1f4e78; }
+.callout p { margin: 2px 0; }
+.callout-tip { border-left-color: #548235; background: #f2f8ee; }
+.callout-tip .callout-title { color: #385723; }
+.callout-important { border-left-color: #7030a0; background: #f6f0fa; }
+.callout-important .callout-title { color: #7030a0; }
+.callout-warning { border-left-color: #c55a11; background: #fdf3ea; }
+.callout-warning .callout-title { color: #843c0c; }
+.callout-caution { border-left-color: #c00000; background: #fbeaea; }
+.callout-caution .callout-title { color: #c00000; }
+
 /* ── Horizontal rule ── */
 hr { border: none; height: 1px; background: #cbcccb; margin: 16px 0; }
 
@@ -322,8 +350,30 @@ hr { border: none; height: 1px; background: #cbcccb; margin: 16px 0; }
   thead th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
   pre { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
   blockquote { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .callout { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
   tbody tr:nth-child(even) { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
 }
 `;
 
+/** Token colors for highlighted code blocks (see highlight.mjs) */
+export const CODE_PALETTE = {
+  background: '#f8f8f8',
+  foreground: '#333333',
+  border: '#dddddd',
+  keyword: '#0000ff',
+  string: '#a31515',
+  number: '#098658',
+  comment: '#008000',
+  function: '#795e26',
+  type: '#267f99',
+  variable: '#001080',
+  meta: '#af00db',
+  tag: '#800000',
+  addition: '#22863a',
+  deletion: '#b31d28',
+  lineNumber: '#999999',
+  captionBackground: '#eeeeee',
+  captionForeground: '#555555',
+};
+
 export default CSS;
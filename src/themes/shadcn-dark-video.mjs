@@ -1,8 +1,9 @@
 /**
  * shadcn-dark-video — Video slide theme
  *
- * 1920×1080 presentation slides.
- * Dark cover & section-title slides, light content slides.
+ * 1920×1080 presentation slides, with overrides for 9:16 (.aspect-portrait)
+ * and 1:1 (.aspect-square) output.
+ * Dark cover & section-title slides, light content and callout slides.
  * Designed for 144fps smooth animations.
  */
 
@@ -274,6 +275,86 @@ const CSS = `
   object-fit: contain;
 }
 
+/* ══════════════════════════════════════════════════════════════
+   Callout (> [!NOTE], > [!WARNING], …)
+   ══════════════════════════════════════════════════════════════ */
+.slide-callout {
+  --callout-color: #3b82f6;
+  --callout-bg: #eff6ff;
+  background: #fafafa;
+  color: #1e293b;
+  gap: 28px;
+  padding: 80px 160px;
+}
+
+.slide-callout.callout-tip { --callout-color: #22c55e; --callout-bg: #f0fdf4; }
+.slide-callout.callout-important { --callout-color: #a855f7; --callout-bg: #faf5ff; }
+.slide-callout.callout-warning { --callout-color: #f59e0b; --callout-bg: #fffbeb; }
+.slide-callout.callout-caution { --callout-color: #ef4444; --callout-bg: #fef2f2; }
+
+.callout-context {
+  font-size: 22px;
+  font-weight: 500;
+  color: #64748b;
+  margin: 0;
+}
+
+.callout-card {
+  width: 100%;
+  max-width: 1400px;
+  background: var(--callout-bg);
+  border: 2px solid color-mix(in srgb, var(--callout-color) 35%, transparent);
+  border-left: 12px solid var(--callout-color);
+  border-radius: 0 20px 20px 0;
+  padding: 56px 64px;
+  box-shadow: 0 8px 24px rgba(0, 0, 0, 0.08);
+}
+
+.callout-header {
+  display: flex;
+  align-items: center;
+  gap: 20px;
+  margin-bottom: 24px;
+}
+
+.callout-icon {
+  font-size: 56px;
+  line-height: 1;
+}
+
+.callout-heading {
+  font-size: 48px;
+  font-weight: 700;
+  color: var(--callout-color);
+  margin: 0;
+}
+
+.callout-text {
+  font-size: 30px;
+  line-height: 1.5;
+  margin: 0;
+}
+
+.callout-list {
+  list-style: disc;
+  margin: 16px 0 0 36px;
+  padding: 0;
+}
+
+.callout-list li {
+  font-size: 26px;
+  line-height: 1.5;
+  padding: 4px 0;
+}
+
+.callout-card code {
+  background: rgba(15, 23, 42, 0.08);
+  padding: 2px 8px;
+  border-radius: 6px;
+  font-family: 'Cascadia Code', 'Fira Code', 'Consolas', monospace;
+  font-size: 0.9em;
+}
+
 /* ══════════════════════════════════════════════════════════════
    Closing
    ══════════════════════════════════════════════════════════════ */
@@ -318,6 +399,101 @@ const CSS = `
   margin: 24px 0 0 0;
   letter-spacing: -1px;
 }
+
+/* ══════════════════════════════════════════════════════════════
+   Portrait (9:16) & Square (1:1)
+   ══════════════════════════════════════════════════════════════ */
+.layout-stacked {
+  flex-direction: column;
+  justify-content: center;
+  align-items: stretch;
+  gap: 40px;
+}
+
+.layout-stacked .content-text {
+  flex: 0 0 auto;
+  max-width: 100%;
+}
+
+.layout-stacked .content-image {
+  flex: 1 1 auto;
+  max-width: 100%;
+  min-height: 0;
+}
+
+.layout-stacked .content-image img {
+  max-height: 100%;
+}
+
+.aspect-portrait .cover-card,
+.aspect-square .cover-card {
+  max-width: 86%;
+  padding: 56px 48px;
+}
+
+.aspect-portrait .slide-toc,
+.aspect-square .slide-toc {
+  padding: 96px 64px;
+}
+
+.aspect-portrait .toc-list {
+  columns: 1;
+}
+
+.aspect-square .toc-list li {
+  font-size: 18px;
+  padding: 6px 0;
+}
+
+.aspect-portrait .section-heading,
+.aspect-square .section-heading {
+  max-width: 88%;
+}
+
+/* Portrait is watched on phones: larger type, taller image area */
+.aspect-portrait .slide-content {
+  padding: 120px 64px;
+}
+
+.aspect-portrait .cover-title { font-size: 52px; }
+.aspect-portrait .cover-subtitle { font-size: 26px; }
+.aspect-portrait .toc-heading { font-size: 52px; }
+.aspect-portrait .toc-list li { font-size: 28px; }
+.aspect-portrait .section-number { font-size: 160px; }
+.aspect-portrait .section-heading { font-size: 60px; }
+.aspect-portrait .content-title { font-size: 48px; }
+.aspect-portrait .content-list li,
+.aspect-portrait .content-prose { font-size: 30px; }
+.aspect-portrait .content-image img { max-height: 1000px; }
+.aspect-portrait .closing-title { font-size: 44px; }
+.aspect-portrait .slide-callout { padding: 120px 64px; }
+.aspect-portrait .callout-card { padding: 48px 44px; }
+.aspect-portrait .callout-heading { font-size: 52px; }
+.aspect-portrait .callout-text { font-size: 34px; }
+
+/* Square shares the frame with feeds: tighter type and spacing */
+.aspect-square .slide-content {
+  padding: 56px 64px;
+}
+
+.aspect-square .layout-stacked {
+  gap: 28px;
+}
+
+.aspect-square .cover-title { font-size: 38px; }
+.aspect-square .toc-heading { font-size: 34px; margin-bottom: 24px; }
+.aspect-square .section-number { font-size: 100px; }
+.aspect-square .section-heading { font-size: 44px; }
+.aspect-square .content-title { font-size: 32px; margin-bottom: 16px; }
+.aspect-square .content-list li,
+.aspect-square .content-prose { font-size: 20px; line-height: 1.5; padding: 3px 0; }
+.aspect-square .content-image img { max-height: 600px; }
+.aspect-square .slide-callout { padding: 56px 64px; gap: 20px; }
+.aspect-square .callout-card { padding: 36px 40px; }
+.aspect-square .callout-icon { font-size: 40px; }
+.aspect-square .callout-heading { font-size: 34px; }
+.aspect-square .callout-text { font-size: 22px; }
+.aspect-square .callout-list li { font-size: 20px; }
 `;
 
 export default CSS;
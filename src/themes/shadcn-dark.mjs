@@ -161,6 +161,12 @@ body {
   color: #64748b;
   font-size: 10.5pt;
 }
+.toc-list .toc-h4 {
+  font-weight: 400;
+  padding-left: 48px;
+  color: #94a3b8;
+  font-size: 10pt;
+}
 
 /* ── Headings ── */
 h1 {
@@ -319,6 +325,40 @@ blockquote p {
   margin: 2px 0;
 }
 
+/* ── Callouts (> [!NOTE], > [!WARNING], …) ── */
+.callout {
+  border: 1px solid #bfdbfe;
+  border-left: 4px solid #3b82f6;
+  background: #eff6ff;
+  padding: 10px 14px;
+  margin: 10px 0;
+  border-radius: 0 8px 8px 0;
+  color: #1e293b;
+  page-break-inside: avoid;
+}
+
+.callout-title {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin: 0 0 4px;
+  font-weight: 600;
+  font-size: 10pt;
+  color: #1d4ed8;
+}
+
+.callout p { margin: 2px 0; }
+.callout ul, .callout ol { margin: 4px 0; }
+
+.callout-tip { border-color: #bbf7d0; border-left-color: #22c55e; background: #f0fdf4; }
+.callout-tip .callout-title { color: #15803d; }
+.callout-important { border-color: #e9d5ff; border-left-color: #a855f7; background: #faf5ff; }
+.callout-important .callout-title { color: #7e22ce; }
+.callout-warning { border-color: #fde68a; border-left-color: #f59e0b; background: #fffbeb; }
+.callout-warning .callout-title { color: #b45309; }
+.callout-caution { border-color: #fecaca; border-left-color: #ef4444; background: #fef2f2; }
+.callout-caution .callout-title { color: #b91c1c; }
+
 /* ── Horizontal rule ── */
 hr {
   border: none;
@@ -368,8 +408,30 @@ li strong {
   thead th { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
   pre { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
   blockquote { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .callout { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
   tbody tr:nth-child(even) { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
 }
 `;
 
+/** Token colors for highlighted code blocks (see highlight.mjs) */
+export const CODE_PALETTE = {
+  background: '#0f172a',
+  foreground: '#e2e8f0',
+  border: '#334155',
+  keyword: '#c084fc',
+  string: '#86efac',
+  number: '#fdba74',
+  comment: '#64748b',
+  function: '#93c5fd',
+  type: '#fcd34d',
+  variable: '#7dd3fc',
+  meta: '#f9a8d4',
+  tag: '#f87171',
+  addition: '#86efac',
+  deletion: '#fca5a5',
+  lineNumber: '#475569',
+  captionBackground: '#1e293b',
+  captionForeground: '#cbd5e1',
+};
+
 export default CSS;
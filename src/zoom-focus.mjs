@@ -0,0 +1,111 @@
+/**
+ * ============================================================
+ *  zoom-focus.mjs — "Zoom to action" for recording scenes
+ *  replicant-2049
+ * ============================================================
+ *
+ *  Builds an FFmpeg zoompan filter that pushes in on every
+ *  click captured by the cursor overlay, pans between nearby
+ *  clicks and relaxes back to the full view afterwards.
+ *
+ *  Timeline per interaction (t = click time):
+ *    t - lead - rampIn → t - lead   zoom in (smoothstep)
+ *    t - lead → t + hold            hold on the clicked point
+ *    t + hold → t + hold + rampOut  zoom out
+ *  Interactions whose windows overlap share one zoomed segment.
+ *
+ * ============================================================
+ */
+
+const DEFAULTS = {
+  level: 1.8,
+  lead: 0.4,
+  rampIn: 0.6,
+  hold: 1.2,
+  rampOut: 0.8,
+  pan: 0.5,
+  supersample: 2,
+};
+
+const num = (n) => Number(n).toFixed(3);
+
+/** Smoothstep of a 0→1 ramp expression, written inline for ffmpeg's evaluator. */
+function smooth(ramp) {
+  return `(${ramp})*(${ramp})*(3-2*(${ramp}))`;
+}
+
+/** Group clicks whose zoom windows overlap into shared segments. */
+function segmentClicks(clicks, o) {
+  const segments = [];
+  for (const c of clicks) {
+    const start = c.time - o.lead - o.rampIn;
+    const end = c.time + o.hold + o.rampOut;
+    const last = segments[segments.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      segments.push({ start: Math.max(0, start), end });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Build the zoompan filter for a recording.
+ *
+ * @param {Array<{ x: number, y: number, time: number }>} clicks
+ *        Viewport coordinates and seconds since the recording started
+ * @param {object} resolution  { width, height } of the normalized clip
+ * @param {number} fps
+ * @param {object} [opts]      Overrides for DEFAULTS (video.zoom / scene.zoom)
+ * @returns {string|null}      Filter chain for -vf, or null when nothing to do
+ */
+export function buildZoomFilter(clicks, resolution, fps, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const points = [...clicks]
+    .filter((c) => Number.isFinite(c.x) && Number.isFinite(c.y) && c.time >= 0)
+    .sort((a, b) => a.time - b.time);
+  if (points.length === 0 || o.level <= 1) return null;
+
+  const ss = o.supersample;
+  const W = resolution.width;
+  const H = resolution.height;
+  const t = `(on/${fps})`;
+
+  // zoom(t) = 1 + (level - 1) · Σ smooth(min(rampIn, rampOut)) over segments
+  const envelopes = segmentClicks(points, o).map((seg) => {
+    const rampIn = `clip((${t}-${num(seg.start)})/${num(o.rampIn)},0,1)`;
+    const rampOut = `clip((${num(seg.end)}-${t})/${num(o.rampOut)},0,1)`;
+    return smooth(`min(${rampIn},${rampOut})`);
+  });
+  const zoom = `1+${num(o.level - 1)}*(${envelopes.join('+')})`;
+
+  const cx = buildFocus(points, 'x', o, t, ss);
+  const cy = buildFocus(points, 'y', o, t, ss);
+
+  return [
+    `scale=${W * ss}:${H * ss}`,
+    `zoompan=z='${zoom}'` +
+      `:x='max(0,min(iw-iw/zoom,${cx}-iw/zoom/2))'` +
+      `:y='max(0,min(ih-ih/zoom,${cy}-ih/zoom/2))'` +
+      `:d=1:s=${W}x${H}:fps=${fps}`,
+  ].join(',');
+}
+
+/**
+ * Focus coordinate expression in supersampled input pixels:
+ * hold on each click, pan linearly to the next one just before it happens.
+ * f₀ = p₀;  fₖ = t < panStartₖ ? fₖ₋₁ : t < panEndₖ ? lerp(pₖ₋₁, pₖ) : pₖ
+ */
+function buildFocus(points, axis, o, t, ss) {
+  let expr = num(points[0][axis] * ss);
+  for (let k = 1; k < points.length; k++) {
+    const from = points[k - 1][axis] * ss;
+    const to = points[k][axis] * ss;
+    const panEnd = points[k].time - o.lead;
+    const panStart = panEnd - o.pan;
+    const lerp = `${num(from)}+${num(to - from)}*(${t}-${num(panStart)})/${num(o.pan)}`;
+    expr = `if(lt(${t},${num(panStart)}),${expr},if(lt(${t},${num(panEnd)}),${lerp},${num(to)}))`;
+  }
+  return expr;
+}
@@ -61,6 +61,30 @@ export default {
   /** Title for the table of contents page */
   tocTitle: 'Índice de Contenidos',
 
+  /** Deepest heading listed in the TOC: 2, 3 (default) or 4 */
+  // tocDepth: 3,
+
+  /**
+   * Dot leaders + page numbers in the TOC (default true). The PDF is
+   * rendered twice: a draft to find each heading's page, then the final one.
+   */
+  // tocPageNumbers: true,
+
+  // ─── PDF outline & properties ─────────────────────────────────
+  /** Bookmark tree (H1–H4) in the viewer sidebar (default true) */
+  // bookmarks: true,
+
+  /**
+   * Document properties (Title, Author, Subject, Keywords). Defaults:
+   * cover.title, cover.meta['Autor'] or cover.footer, cover.subtitle.
+   */
+  // meta: {
+  //   title: 'Tutorial de Uso — Mi Aplicación',
+  //   author: 'Mi Empresa S.A.',
+  //   subject: 'Guía completa del sistema para usuarios finales',
+  //   keywords: ['tutorial', 'mi aplicación'],
+  // },
+
   // ─── Page format ──────────────────────────────────────────────
   /** Paper size: 'A4', 'Letter', etc. */
   format: 'A4',
@@ -76,6 +100,53 @@ export default {
   /** HTML lang attribute */
   lang: 'es',
 
+  // ─── Code blocks ──────────────────────────────────────────────
+  /**
+   * Syntax highlighting for fenced code in PDF, HTML and DOCX. Colors come
+   * from the theme's CODE_PALETTE; `palette` overrides single roles (keyword,
+   * string, number, comment, function, type, variable, meta, tag, background…).
+   * Per block: ```ts title="app.ts" lineNumbers
+   */
+  // code: {
+  //   highlight: true,
+  //   lineNumbers: false,
+  //   palette: { keyword: '#7c3aed' },
+  // },
+
+  // ─── Diagrams ─────────────────────────────────────────────────
+  /**
+   * ```mermaid and ```eraser code blocks are rendered offline to images
+   * (SVG in PDF/HTML, PNG in DOCX). Eraser blocks are translated to Mermaid
+   * (flow, ER and sequence diagrams). Renders are cached by content hash;
+   * a block that fails to render stays as code. `diagrams: false` disables it.
+   */
+  // diagrams: {
+  //   theme: 'neutral',                       // default | neutral | dark | forest
+  //   scale: 2,                               // PNG pixel density (DOCX)
+  //   cacheDir: './.tutorial-diagram-cache',
+  // },
+
+  // ─── Screenshot capture ───────────────────────────────────────
+  /**
+   * Built-in capture: images preceded by a `<!-- capture: ... -->` directive
+   * in the Markdown are captured into imagesDir before PDF/DOCX/HTML export.
+   * It starts the app and Chromium, so it only runs with `builtin: true` or
+   * `export --capture`; otherwise the export uses the images on disk.
+   * Use `script` instead to run a project-specific capture-tutorial.mjs.
+   */
+  // capture: {
+  //   builtin: true,               // capture on every export (default: only with --capture)
+  //   appUrl: 'http://localhost:5173',
+  //   viewport: '1440x900',
+  //   scale: 2,                    // deviceScaleFactor
+  //   delay: 0.5,                  // seconds to settle before each screenshot
+  //   timeout: 15,                 // seconds per wait / action
+  //   strict: false,               // fail the export if any capture fails
+  //   annotationColor: '#ef4444',  // badges, boxes, arrows and notes (`annotate:`)
+  //   startCommand: 'npm run dev', // see video.startCommand
+  //   // script: './SCRIPT/capture-tutorial.mjs',
+  // },
+
   // ─── Video ────────────────────────────────────────────────────
   video: {
     /** Output path for the MP4 (relative to this config file) */
@@ -84,9 +155,52 @@ export default {
     /** Video resolution */
     resolution: { width: 1920, height: 1080 },
 
+    /**
+     * Aspect presets instead of a fixed resolution: '16:9' | '9:16' | '1:1'
+     * (1920×1080, 1080×1920, 1080×1080). 9:16 and 1:1 switch slides to stacked
+     * layouts with scaled typography. Listing several exports them side by
+     * side: TUTORIAL.mp4, TUTORIAL-9x16.mp4, TUTORIAL-1x1.mp4.
+     */
+    // profile: '9:16',
+    // profiles: ['16:9', '9:16', '1:1'],
+
     /** Frames per second */
     fps: 144,
 
+    /** 'slides-only' (from the Markdown) | 'hybrid' (slides + live recordings) */
+    // mode: 'hybrid',
+
+    /**
+     * Hybrid scenes file: JS module exporting `scenes` (with actions(page)),
+     * or declarative JSON/YAML steps — see scenes.example.yaml
+     */
+    // scenes: './scenes.yaml',
+
+    /** App URL opened at the start of each recording scene */
+    // appUrl: 'http://localhost:5173',
+
+    /**
+     * Start the app for the recordings when it isn't running (optional).
+     * Ready when appUrl (or readyUrl) answers, or a log line matches
+     * readyPattern; the whole process tree is stopped afterwards.
+     * `capture` accepts the same options for the screenshot script.
+     */
+    // startCommand: 'npm run dev',
+    // startCwd: '../MY-PROJECT-frontend',
+    // readyPattern: 'Local:\\s+http',
+    // startTimeout: 90,
+
+    /** Slides rendered/encoded in parallel in slides-only mode (default: CPU count) */
+    // concurrency: 4,
+
+    /**
+     * Clip cache: unchanged slides reuse their encoded MP4 across runs
+     * (default on; disable with `cache: false` or `--no-cache`).
+     * Default dir: .tutorial-video-cache/<video name>/ next to the output.
+     */
+    // cache: true,
+    // cacheDir: './.tutorial-video-cache',
+
     /** Default seconds per slide */
     slideDuration: 6,
 
@@ -102,13 +216,174 @@ export default {
     /** Closing slide duration in seconds */
     closingDuration: 6,
 
-    /** Transition type: 'crossfade' | 'fade-black' | 'cut' */
+    /**
+     * `> [!NOTE]` / `> [!WARNING]` callouts under an H3 get their own slide
+     * after the content slide (default true).
+     */
+    // calloutSlides: true,
+    // calloutDuration: 5,
+
+    /**
+     * Transition type: 'crossfade' | 'fade-black' | 'cut' (default: 'cut').
+     * In hybrid mode each scene can override it with its own
+     * `transition` / `transitionDuration` (applies to the cut INTO that scene).
+     */
     transition: 'crossfade',
 
-    /** Transition duration in seconds */
+    /** Transition duration in seconds (clamped to half of the shorter clip) */
     transitionDuration: 0.5,
 
-    /** Path to background music file (optional) */
+    /**
+     * Animated slide reveals (optional). Renders each slide at several
+     * animationPhase steps (0→1) so titles, lists and images animate in.
+     * Hybrid slide scenes can opt out with `animate: false`.
+     */
+    // animation: {
+    //   revealDuration: 1.2,       // seconds from blank to fully revealed
+    //   easing: 'ease-out',        // 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out'
+    //   frameRate: 30,             // reveal frames per second (capped at fps)
+    // },
+
+    /**
+     * Captions (optional). Writes TUTORIAL-MY-PROJECT.srt / .vtt next to the
+     * MP4, timed to each clip. Text is the narration when present, otherwise
+     * the slide title and bullets. `burn: true` also renders them into the video.
+     */
+    // captions: {
+    //   source: 'auto',            // 'auto' | 'narration' | 'slides'
+    //   burn: false,
+    //   maxChars: 84,              // characters per cue (two lines)
+    //   // style: 'FontSize=22,MarginV=40',  // ASS force_style for burned captions
+    // },
+
+    /**
+     * Chapter markers from section-title slides (default true). Embedded in
+     * the MP4 and listed as `mm:ss Title` in TUTORIAL-MY-PROJECT.chapters.txt.
+     * Hybrid scenes can name a chapter explicitly with `chapter: '...'`.
+     */
+    // chapters: true,
+    // chaptersIntroTitle: 'Introducción',   // chapter at 00:00 before the first section
+
+    /**
+     * Cursor overlay for hybrid recordings: keystroke badge ("Ctrl+S", "Enter"),
+     * halo around hovered controls and human-paced typing for page.fill().
+     * Scene actions can also call humanType(page, selector, text) from
+     * replicant-2049's cursor-overlay.mjs directly.
+     */
+    // cursor: {
+    //   keystrokes: 'combos',      // 'combos' | 'all' | false
+    //   hover: true,
+    //   humanTyping: false,        // page.fill() types character by character
+    //   typingDelay: 70,           // average ms per character
+    // },
+
+    /**
+     * Zoom to action (hybrid recordings). Pushes in on every click captured by
+     * the cursor overlay and relaxes back to the full view. Scenes can
+     * override with `zoom: { ... }` or opt out with `zoom: false`.
+     */
+    // zoom: {
+    //   level: 1.8,                // max zoom factor
+    //   lead: 0.4,                 // seconds fully zoomed before the click
+    //   rampIn: 0.6,
+    //   hold: 1.2,                 // seconds held after the click
+    //   rampOut: 0.8,
+    //   pan: 0.5,                  // seconds to pan between consecutive clicks
+    // },
+
+    /**
+     * Recording scenes: a scene that throws, times out or can't open appUrl
+     * is retried, then left out of the video with a screenshot + Playwright
+     * trace in `<video>.failures/report.md`. `strict` (or --strict) aborts
+     * the export instead. Scenes can override `timeout` and `retries`.
+     */
+    // recording: {
+    //   timeout: 120,              // seconds for the whole scene
+    //   actionTimeout: 15,         // seconds per click / fill / waitFor
+    //   retries: 1,
+    //   strict: false,
+    //   trace: true,
+    //   failureDir: './tutorial.failures',
+    // },
+
+    /**
+     * Presenter bubble, avatar or logo watermark in a corner of the video.
+     * `kind` is guessed from `source` (video file → 'video', image → 'avatar');
+     * set 'logo' for a watermark (aspect kept, no circle). Hidden on the slide
+     * types in `hideOn`; hybrid scenes can force it with `overlay: true/false`.
+     * Only the picture is used: mix a presenter's voice with narrationTrack.
+     */
+    // overlay: {
+    //   source: './assets/presenter.mp4',  // looped to the video length
+    //   kind: 'video',             // 'video' | 'avatar' | 'logo'
+    //   position: 'bottom-right',  // top-left | top-right | bottom-left | bottom-right
+    //   size: 0.18,                // fraction of the video width, or pixels (> 1)
+    //   margin: 40,                // px from the edges
+    //   opacity: 1,                // 0–1 (logo default 0.8)
+    //   shape: 'circle',           // 'circle' | 'none'
+    //   hideOn: ['cover', 'closing'],
+    // },
+
+    /** Path to background music file (optional). Looped or trimmed to the video length */
     // backgroundMusic: './assets/bg-music.mp3',
+
+    /** Music volume (0–1, default 0.3) */
+    // musicVolume: 0.3,
+
+    /** Music fade-in / fade-out in seconds (default 2 / 3) */
+    // musicFadeIn: 2,
+    // musicFadeOut: 3,
+
+    /** Pre-recorded voice-over for the whole video (optional) */
+    // narrationTrack: './assets/voice-over.mp3',
+
+    /** Lower the music automatically while narration is speaking (default true) */
+    // musicDucking: true,
+
+    /**
+     * Offline text-to-speech narration (optional).
+     * Text comes from `<!-- narración: ... -->` comments or `> 🎙️` blockquotes
+     * under each H3 (slides-only) or the `narration` field of hybrid scenes.
+     * Slides are stretched to fit their audio.
+     */
+    // narration: {
+    //   engine: 'espeak-ng',        // 'espeak-ng' | 'piper' | { synthesize(text, outPath) }
+    //   voice: 'es',                // espeak-ng voice
+    //   speed: 160,                 // espeak-ng words per minute
+    //   // model: './voices/es_AR-daniela-high.onnx',  // piper voice model (relative to this file)
+    //   leadIn: 0.4,                // seconds of silence before speaking
+    //   tail: 0.8,                  // seconds kept after the audio ends
+    // },
   },
+
+  // ─── Authentication (recording scenes, `record` and capture) ───
+  /**
+   * Signs in once per role and reuses the session in every browser context.
+   * Hybrid scenes switch roles with `role: 'lector'`. Capture scripts get
+   * REPLICANT_STORAGE_STATE / REPLICANT_MOCK_ROLE in their environment.
+   */
+  // auth: {
+  //   role: 'admin',                // default role
+  //
+  //   // SKIP_AUTH apps: inject window.__MOCK_ROLE__ (read by useCurrentUser)
+  //   mock: true,
+  //
+  //   // Auth0 / login form: scene steps with {{username}} / {{password}}
+  //   // login: {
+  //   //   url: '/',
+  //   //   steps: [
+  //   //     { click: { role: 'button', name: 'Iniciar sesión' } },
+  //   //     { fill: { label: 'Email address', value: '{{username}}' } },
+  //   //     { fill: { label: 'Password', value: '{{password}}' } },
+  //   //     { click: { role: 'button', name: 'Continue' } },
+  //   //     { waitFor: { url: '**/dashboard' } },
+  //   //   ],
+  //   // },
+  //   // roles: {
+  //   //   admin: { username: 'admin@example.com', password: process.env.TUTORIAL_ADMIN_PASSWORD },
+  //   //   lector: { username: 'lector@example.com', password: process.env.TUTORIAL_LECTOR_PASSWORD },
+  //   // },
+  //   // stateDir: './.tutorial-auth',  // saved sessions (live cookies) — git-ignore any custom dir
+  //   // maxAge: 3600,                  // seconds a saved session is reused
+  // },
 };